@@ -0,0 +1,63 @@
+/**
+ * Per-keystroke matching cost: indexed lookup vs. a full scan of the table.
+ *
+ *   node bench/matcher.js [entries...]     (default: 1000 5000 10000)
+ *
+ * Fills a HotstringEngine with random triggers and feeds text that never fires,
+ * so every keystroke pays the full lookup cost.
+ */
+const { HotstringEngine } = require('../hotstring.js');
+
+// Deterministic PRNG so runs are comparable
+let seed = 42;
+const random = () => ((seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648);
+const pick = (chars) => chars[Math.floor(random() * chars.length)];
+const word = (min, max) => {
+    let w = "";
+    const len = min + Math.floor(random() * (max - min + 1));
+    for (let i = 0; i < len; i++) w += pick("abcdefghijklmnopqrstuvwxyz");
+    return w;
+};
+
+function createEngine(entries) {
+    const engine = new HotstringEngine();
+    for (let i = 0; i < entries; i++) {
+        // A leading digit keeps triggers from firing on the letters typed below,
+        // while their reversed-trie paths still follow real words
+        const opts = (random() < 0.2 ? '*' : '') + (random() < 0.1 ? 'C' : '') + (random() < 0.05 ? 'P1' : '');
+        engine.add(`:${opts}:${i % 10}${word(2, 7)}`, `replacement ${i}`);
+    }
+    engine.addRegex(/(\d+)x(\d+)/, '$1 by $2');
+    return engine;
+}
+
+function measure(engine, text, scan) {
+    let buffer = "";
+    const start = process.hrtime.bigint();
+    for (const ch of text) {
+        buffer = (buffer + ch).slice(-engine.maxBuffer);
+        scan(buffer, ch);
+    }
+    return Number(process.hrtime.bigint() - start) / 1000 / text.length;
+}
+
+const sizes = process.argv.slice(2).map(Number).filter(Boolean);
+const keystrokes = 3000;
+let text = "";
+while (text.length < keystrokes) text += word(2, 9) + pick(" .,\n");
+
+console.log(`${keystrokes} keystrokes per run, time per keystroke in µs\n`);
+console.log('entries   full scan    indexed   speedup');
+for (const entries of sizes.length ? sizes : [1000, 5000, 10000]) {
+    const engine = createEngine(entries);
+    engine.match("", " "); // Build the index outside the timed run
+
+    const linear = measure(engine, text, (buffer, ch) => engine._matchCandidates(buffer, engine.hotstrings, ch));
+    const indexed = measure(engine, text, (buffer, ch) => engine.match(buffer, ch));
+    console.log(
+        String(entries).padStart(7),
+        linear.toFixed(2).padStart(12),
+        indexed.toFixed(2).padStart(10),
+        `${(linear / indexed).toFixed(0)}x`.padStart(9)
+    );
+}
@@ -5,696 +5,5096 @@
  * @version 1.2.0
  * @license MIT
  */
-class HotstringManager {
-    constructor(targetElement) {
-        this.target = targetElement;
-        this.buffer = "";
-        this.maxBuffer = 60;
-        this.hotstrings = [];
 
-        this.muteMode = false;
-        this.muteBuffer = "";
+/**
+ * DOM-free hotstring engine: the hotstring table, the typing buffer, trigger matching,
+ * case conformity and Send syntax. It takes typed characters and answers with editing
+ * instructions (delete, insert, move the caret); HotstringManager binds it to text
+ * fields. Use it on its own to run hotstrings outside a browser or in a custom editor.
+ * Dynamic variables, snippets, conditions and groups are HotstringManager features.
+ */
+class HotstringEngine {
+    /**
+     * @param {Object} [options]
+     * @param {Iterable<string>} [options.endChars] - Characters that end a trigger
+     *     (defaults to HotstringEngine.END_CHARS)
+     * @param {number} [options.maxBuffer=60] - Typed characters kept for matching
+     * @param {RegExp|function(string): boolean} [options.wordChars] - Characters words are made
+     *     of, tested one code point at a time (defaults to HotstringEngine.WORD_CHARS)
+     * @param {boolean} [options.segmentWords=false] - Also treat dictionary word boundaries
+     *     (Intl.Segmenter) as word starts, for languages written without spaces
+     * @param {string} [options.locale] - Casing rules for case conformity and case-insensitive
+     *     matching, e.g. 'tr' for the dotted and dotless i
+     */
+    constructor(options = {}) {
+        this.hotstrings = [];
+        this.buffer = "";
+        this.maxBuffer = options.maxBuffer || 60;
+        this.endChars = new Set(options.endChars || HotstringEngine.END_CHARS);
 
-        this.isLocked = false;
-        this.lockBuffer = [];
-        this.isReplacing = false;
+        // A trigger without ? must not follow a word character
+        this.wordChars = options.wordChars || HotstringEngine.WORD_CHARS;
+        this.segmentWords = options.segmentWords === true;
+        this.locale = options.locale;
+        this._segmenter = null;
 
-        this.isSuspended = false;
+        // While suspended only hotstrings with the S option fire
+        this.suspended = false;
 
-        // Reset buffer on mouse click by default
-        this.resetOnMouse = true;
+        // Trigger lookup index, built on first use (see _buildIndex)
+        this._index = null;
+    }
 
-        // Default EndChars
-        this.endChars = new Set([" ", "\t", "\n", ".", ",", "!", "?", "-", "(", ")", "[", "]", "{", "}", ":", ";", "'", "\"", "/", "\\"]);
+    // --- Hotstring Table ---
 
-        this._bindEvents();
+    /**
+     * Adds a text hotstring. Unlike HotstringManager.add() there are no ids, groups or
+     * conflict checks; remove a record by taking it out of `hotstrings`.
+     * @param {string} definition - AHK style, e.g. ":*:btw"
+     * @param {string|function} replacement - Send syntax text, or a function (X)
+     * @returns {Object} The hotstring record
+     */
+    add(definition, replacement) {
+        return this._insert(this.compile(definition, replacement));
     }
 
-    // --- Public API ---
+    /**
+     * Adds a regex hotstring. String replacements are templates ($1, $<name>, $&).
+     * @returns {Object} The hotstring record
+     */
+    addRegex(pattern, replacement, priority = 0) {
+        return this._insert(this.compileRegex(pattern, replacement, priority));
+    }
 
-    setMuteMode(enabled) {
-        this.muteMode = enabled;
-        if (!enabled) {
-            this.muteBuffer = "";
-            this._updateDebug();
-        }
+    _insert(record) {
+        record.enabled = true;
+        this.hotstrings.push(record);
+        this.sort();
+        return record;
     }
 
-    toggleSuspend() {
-        this.isSuspended = !this.isSuspended;
-        return this.isSuspended;
+    /**
+     * Builds the record for a text hotstring without adding it.
+     * @param {string} [defaults] - Options applied before the definition's own
+     */
+    compile(definition, replacement, defaults = "") {
+        const parsed = this.parseDefinition(definition, defaults);
+        if (!parsed) throw new Error(`Invalid definition syntax: ${definition}`);
+        if (typeof replacement === 'function') parsed.execute = true;
+        // Store original definition for programmatic access
+        return {
+            type: 'text',
+            originalDefinition: definition,
+            ...parsed,
+            replacement
+        };
     }
 
     /**
-     * Clears the current detection buffer programmatically.
-     * Equivalent to AHK's Hotstring("Reset")
+     * Builds the record for a regex hotstring without adding it.
+     * The pattern is anchored to the end of the buffer.
      */
-    reset() {
-        this._resetBuffer("Manual Reset");
+    compileRegex(pattern, replacement, priority = 0) {
+        let source = pattern.source;
+        if (!source.endsWith('$')) source += '$';
+        return {
+            type: 'regex',
+            trigger: new RegExp(source, pattern.flags),
+            replacement,
+            priority
+        };
     }
 
     /**
-     * Programmatically trigger a hotstring by its definition string.
-     * Matches the original definition provided in add().
-     * @param {string} definition - E.g. ":*:btw"
+     * Parses the options and trigger of a definition.
+     * @param {string} def - AHK style definition
+     * @param {string} [defaults] - Options applied before the definition's own
+     * @returns {Object|null} `{ trigger, fireImmediately, insideWord, ... }`, or null if malformed
+     * @throws {Error} If an option is unknown or has an invalid value
      */
-    trigger(definition) {
-        const hs = this.hotstrings.find(h => h.originalDefinition === definition);
-        if (!hs) {
-            console.warn(`Hotstring definition not found: ${definition}`);
-            return;
-        }
-        // Execute with 0 backspace (simulated trigger), empty end char, default case
-        this._triggerAction(hs, "", 0, 0, "");
+    parseDefinition(def, defaults = "") {
+        // FIX: Changedregex to use `(.*?)` for options to allow empty options like `::twa`
+        const match = def.match(/^:(.*?):(.+)$/is);
+        if (!match) return null;
+
+        const { options, errors } = this.parseOptions(match[1], defaults);
+        if (errors.length) throw new Error(`${errors[0]} in ${def}`);
+        return {
+            trigger: match[2],
+            ...options
+        };
     }
 
     /**
-     * Search hotstrings by content (replacement text).
-     * @param {string|RegExp} query - Text to find in the replacement.
-     * @returns {string[]} Array of matching trigger definitions (e.g. [":*:btw"])
+     * Reads an AHK option string such as "*C1 SE K10". Options are case-insensitive and
+     * may be separated by spaces; like in AHK, a later option overrides an earlier one.
+     * @param {string} str
+     * @param {string} [defaults] - Options applied first (group or #Hotstring defaults)
+     * @returns {{options: Object, errors: string[], warnings: string[]}} `errors` lists unknown
+     *     options and invalid values, `warnings` the options in `str` that override each other
      */
-    search(query) {
-        const results = [];
-        const isRegex = query instanceof RegExp;
-        const lowerQuery = !isRegex && typeof query === 'string' ? query.toLowerCase() : "";
+    parseOptions(str, defaults = "") {
+        const options = {
+            fireImmediately: false,
+            insideWord: false,
+            noBackspace: false,
+            caseSensitive: false,
+            noConformity: false,
+            omitEndChar: false,
+            rawMode: false,
+            execute: false,
+            resetRecognizer: false,
+            suspendExempt: false,
+            priority: 0,
+            keyDelay: -1,
+            sendMode: 'SI'
+        };
+        const errors = [];
+        const warnings = [];
 
-        for (const hs of this.hotstrings) {
-            let match = false;
+        for (const token of this._tokenizeOptions(defaults, errors)) Object.assign(options, token.set);
 
-            // Determine content to search (Replacement text or Function string)
-            let content = "";
-            if (typeof hs.replacement === 'string') {
-                content = hs.replacement;
-            } else if (typeof hs.replacement === 'function') {
-                content = hs.replacement.toString();
+        // Overrides are only reported within `str`: overriding a default is what defaults are for
+        const setBy = new Map();
+        for (const token of this._tokenizeOptions(str, errors)) {
+            const overridden = new Set();
+            for (const [key, value] of Object.entries(token.set)) {
+                const earlier = setBy.get(key);
+                if (earlier && (earlier.text === token.text || earlier.set[key] !== value)) overridden.add(earlier);
+                setBy.set(key, token);
             }
-
-            if (isRegex) {
-                if (query.test(content)) match = true;
-            } else {
-                if (content.toLowerCase().includes(lowerQuery)) match = true;
+            for (const earlier of overridden) {
+                warnings.push(earlier.text === token.text
+                    ? `Duplicate hotstring option "${token.text}"`
+                    : `Hotstring option "${token.text}" overrides "${earlier.text}"`);
             }
+            Object.assign(options, token.set);
+        }
+        return { options, errors, warnings };
+    }
 
-            if (match) {
-                if (hs.originalDefinition) {
-                    results.push(hs.originalDefinition);
-                } else if (hs.type === 'regex') {
-                    results.push(hs.trigger.toString());
-                }
+    /**
+     * Splits an option string into `{ text, set }` tokens, `set` being the record
+     * properties the option sets (see HotstringEngine.OPTIONS). Problems go to `errors`.
+     */
+    _tokenizeOptions(str, errors) {
+        const tokens = [];
+        const source = str.toUpperCase().trim();
+        // SI, SP and SE are send modes; any other letter or symbol is one option
+        const re = /\s*(?:(S[IPE]|[^\s\d-])(-?\d+)?|(\S))/y;
+        while (re.lastIndex < source.length) {
+            const [, name, digits = "", stray] = re.exec(source);
+            const spec = name && HotstringEngine.OPTIONS[name];
+            if (!spec) {
+                errors.push(`Unknown hotstring option "${name || stray}"`);
+            } else if (spec.number) {
+                if (digits) tokens.push({ text: name + digits, set: { [spec.number]: parseInt(digits, 10) } });
+                else errors.push(`Hotstring option "${name}" needs a number`);
+            } else if (Object.prototype.hasOwnProperty.call(spec, digits)) {
+                tokens.push({ text: name + digits, set: spec[digits] });
+            } else {
+                errors.push(`Invalid hotstring option "${name}${digits}"`);
             }
         }
-        return results;
+        return tokens;
     }
 
     /**
-     * Read-only getter for current EndChars
+     * Restores the match order after the table changed: higher priority (Pn) first,
+     * then longer triggers.
      */
-    get endCharsString() {
-        return Array.from(this.endChars).join('');
+    sort() {
+        this._index = null;
+        this.hotstrings.sort((a, b) => {
+            if (a.priority !== b.priority) return b.priority - a.priority;
+            const lenA = a.type === 'regex' ? 0 : a.trigger.length;
+            const lenB = b.type === 'regex' ? 0 : b.trigger.length;
+            return lenB - lenA;
+        });
     }
 
+    // --- Matching ---
+
     /**
-     * Sets #Hotstring NoMouse behavior
+     * Adds a typed character to the buffer and checks the triggers. The buffer is
+     * cleared when a hotstring fires.
+     * @param {string} char
+     * @returns {Object|null} The match (see match()) plus its `instructions` (see expand())
      */
-    setNoMouse(enabled) {
-        this.resetOnMouse = !enabled;
+    feed(char) {
+        this.buffer = this.trimBuffer(this.buffer + char);
+
+        const found = this.match(this.buffer, char);
+        if (!found) return null;
+        this.buffer = "";
+        return { ...found, instructions: this.expand(found) };
     }
 
     /**
-     * Dynamically sets the EndChars list.
-     * Equivalent to AHK's #Hotstring EndChars
-     * @param {string} charsStr - String containing all end characters
+     * Clears the buffer, e.g. when the caret moved.
      */
-    setEndChars(charsStr) {
-        this.endChars = new Set(charsStr.split(''));
+    reset() {
+        this.buffer = "";
     }
 
-    add(definition, replacement) {
-        const parsed = this._parseDefinition(definition);
-        if (!parsed) throw new Error(`Invalid definition syntax: ${definition}`);
-        if (typeof replacement === 'function') parsed.execute = true;
-        // Store original definition for programmatic access
-        this.hotstrings.push({ type: 'text', originalDefinition: definition, ...parsed, replacement });
-        this._sortHotstrings(); // Respect Pn priority and length
+    /**
+     * Keeps the last `maxBuffer` characters of `buffer`, never half of a surrogate pair.
+     */
+    trimBuffer(buffer) {
+        if (buffer.length <= this.maxBuffer) return buffer;
+        const kept = buffer.slice(-this.maxBuffer);
+        return /^[\uDC00-\uDFFF]/.test(kept) ? kept.slice(1) : kept;
     }
 
-    addRegex(regexPattern, action, options = {}) {
-        let source = regexPattern.source;
-        if (!source.endsWith('$')) source += '$';
-        const finalRegex = new RegExp(source, regexPattern.flags);
+    /**
+     * Finds the first hotstring, in table order, that fires at the end of `buffer`.
+     * @param {string} buffer - Typed text, ending with `lastChar`
+     * @param {string} lastChar - The character just typed ("" for none)
+     * @param {Object} [options]
+     * @param {boolean} [options.atCaret=false] - Text triggers match at the very end of
+     *     the buffer, without an end char (for expanding on demand)
+     * @param {function(Object): boolean} [options.accept] - Further check for each candidate
+     * @returns {Object|null} `{ hotstring, trigger, endChar, match }`: the typed trigger and
+     *     end char, and the RegExp match for regex hotstrings
+     */
+    match(buffer, lastChar, options = {}) {
+        const candidates = this._collectCandidates(this._getIndex(), buffer, lastChar, options.atCaret);
+        return this._matchCandidates(buffer, candidates, lastChar, options);
+    }
 
-        this.hotstrings.push({
-            type: 'regex',
-            trigger: finalRegex,
-            replacement: action,
-            priority: options.priority || 0,
-            options: {
-                async: options.async || false,
-                blockInput: options.blockInput !== false,
-                timeout: options.timeout || 3000
+    /**
+     * Returns the first hotstring in `candidates` that matches the buffer.
+     * @param {Object[]} candidates - Records in table order
+     */
+    _matchCandidates(buffer, candidates, lastChar, options = {}) {
+        // Hotstrings are sorted by Priority (High to Low), then Length (Long to Short)
+        for (const hs of candidates) {
+            if (hs.enabled === false) continue;
+
+            // Suspend Check: If suspended, only Exempt (S) hotstrings work
+            if (this.suspended && !hs.suspendExempt) continue;
+
+            if (options.accept && !options.accept(hs)) continue;
+
+            if (hs.type === 'regex') {
+                const match = buffer.match(hs.trigger);
+                if (match) return { hotstring: hs, trigger: match[0], endChar: "", match };
+                continue;
+            }
+
+            const found = this._matchText(hs, buffer, lastChar, options.atCaret);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    _matchText(hs, buffer, lastChar, atCaret) {
+        const triggerLen = hs.trigger.length;
+
+        if (hs.fireImmediately || atCaret) {
+            const tail = buffer.slice(-triggerLen);
+            if (this._compare(tail, hs.trigger, hs.caseSensitive)) {
+                if (hs.insideWord || this._isStartOfWord(buffer, triggerLen)) {
+                    return { hotstring: hs, trigger: tail, endChar: "", match: null };
+                }
+            }
+        }
+        else if (lastChar && this.endChars.has(lastChar)) {
+            const endCharLen = lastChar.length;
+            const potentialTrigger = buffer.slice(-(triggerLen + endCharLen), -endCharLen);
+            if (this._compare(potentialTrigger, hs.trigger, hs.caseSensitive)) {
+                if (hs.insideWord || this._isStartOfWord(buffer, triggerLen + endCharLen)) {
+                    return { hotstring: hs, trigger: potentialTrigger, endChar: lastChar, match: null };
+                }
+            }
+        }
+        return null;
+    }
+
+    // --- Trigger Index ---
+    // Text hotstrings are stored in tries keyed by their reversed trigger, so a keystroke
+    // only visits entries whose trigger could end the buffer. Immediate (*) and end-char
+    // hotstrings end at different buffer positions and get separate tries; case-insensitive
+    // tries are keyed by case-folded characters. The index only narrows the candidates:
+    // _matchText() still decides, so matching behaves exactly like a full scan.
+
+    _getIndex() {
+        // The index is rebuilt after the table changes (see sort()); case folding depends on the locale
+        const index = this._index;
+        if (!index || index.source !== this.hotstrings || index.size !== this.hotstrings.length || index.locale !== this.locale) {
+            this._index = this._buildIndex();
+        }
+        return this._index;
+    }
+
+    _buildIndex() {
+        const trie = () => ({ children: new Map(), entries: [] });
+        const index = {
+            source: this.hotstrings,
+            size: this.hotstrings.length,
+            locale: this.locale,
+            order: new Map(),
+            regex: [],
+            immediate: { cs: trie(), ci: trie() },
+            endChar: { cs: trie(), ci: trie() }
+        };
+
+        this.hotstrings.forEach((hs, i) => {
+            index.order.set(hs, i);
+            if (hs.type === 'regex') {
+                index.regex.push(hs);
+                return;
+            }
+            const bucket = hs.fireImmediately ? index.immediate : index.endChar;
+            const key = hs.caseSensitive ? hs.trigger : this.foldCase(hs.trigger);
+            let node = hs.caseSensitive ? bucket.cs : bucket.ci;
+            for (let i = key.length - 1; i >= 0; i--) {
+                if (!node.children.has(key[i])) node.children.set(key[i], trie());
+                node = node.children.get(key[i]);
             }
+            node.entries.push(hs);
         });
-        this._sortHotstrings();
+        return index;
     }
 
-    // --- Import Logic with AHK Escape Support ---
+    /**
+     * Returns the regex hotstrings plus the text hotstrings whose trigger ends the
+     * buffer (before the end char for non-immediate ones, unless `atCaret`), in table order.
+     */
+    _collectCandidates(index, buffer, lastChar, atCaret = false) {
+        const found = [...index.regex];
+        this._walkIndex(index.immediate, buffer, buffer.length, found);
+        if (atCaret) {
+            this._walkIndex(index.endChar, buffer, buffer.length, found);
+        } else if (lastChar && this.endChars.has(lastChar)) {
+            this._walkIndex(index.endChar, buffer, buffer.length - lastChar.length, found);
+        }
+        return found.sort((a, b) => index.order.get(a) - index.order.get(b));
+    }
+
+    _walkIndex(bucket, buffer, end, found) {
+        let node = bucket.cs;
+        for (let i = end - 1; i >= 0 && node; i--) {
+            node = node.children.get(buffer[i]);
+            if (node) found.push(...node.entries);
+        }
+
+        // Folding works on whole code points, so step over surrogate pairs together
+        node = bucket.ci;
+        let i = end;
+        while (i > 0 && node) {
+            let start = i - 1;
+            if (start > 0 && /[\uDC00-\uDFFF]/.test(buffer[start]) && /[\uD800-\uDBFF]/.test(buffer[start - 1])) start--;
+            const folded = this.foldCase(buffer.slice(start, i));
+            for (let k = folded.length - 1; k >= 0 && node; k--) node = node.children.get(folded[k]);
+            if (node) found.push(...node.entries);
+            i = start;
+        }
+    }
+
+    // --- Replacement ---
 
     /**
-     * Helper to convert AHK escape sequences to JS characters.
-     * Preserves literal backslashes (\).
+     * AHK case conformity: an all-caps trigger gives an all-caps replacement and a
+     * capitalized trigger a capitalized one.
      */
-    _parseAHKEscapes(str) {
-        if (!str) return "";
-        // Replace `n, `t, `r, `;, `,, `%, `` `
-        return str.replace(/`./g, (match) => {
-            const char = match[1];
-            switch (char) {
-                case 'n': return '\n';
-                case 'r': return '\r';
-                case 't': return '\t';
-                case 'b': return '\b';
-                case ';': return ';';
-                case ',': return ',';
-                case '%': return '%';
-                case '`': return '`';
-                case '"': return '"';
-                case "'": return "'";
-                default: return char; // For unknown, return the char literally
-            }
-        });
+    applyCase(typed, replacement) {
+        if (typed === this._upper(typed) && typed !== this._lower(typed)) {
+            return this._upper(replacement);
+        }
+        // The first character must be a cased letter: CJK or digit triggers never capitalize
+        const [first = ""] = typed;
+        const rest = typed.slice(first.length);
+        if (first !== this._lower(first) && rest === this._lower(rest)) {
+            const [head = ""] = replacement;
+            return this._titleCase(head) + replacement.slice(head.length);
+        }
+        return replacement;
     }
 
-    import(input, options = { stopOnError: false }) {
-        const result = { added: 0, errors: [] };
-        const handleError = (msg, item) => {
-            if (options.stopOnError) throw new Error(msg);
-            result.errors.push({ msg, item });
+    /**
+     * The capital that starts a word: ǆ becomes ǅ, and letters that uppercase to
+     * several (ß, ﬁ) keep only the first one capital.
+     */
+    _titleCase(char) {
+        if (HotstringEngine.TITLE_CASE[char]) return HotstringEngine.TITLE_CASE[char];
+        const [head = "", ...tail] = this._upper(char);
+        return head + this._lower(tail.join(''));
+    }
+
+    /**
+     * The text a text hotstring match inserts: `text` with case conformity (unless C or C1)
+     * and the typed end char appended (unless O). The end char is escaped for Send syntax.
+     * @param {Object} found - From match()
+     * @param {string} text - Replacement text
+     */
+    replacementText(found, text) {
+        const hs = found.hotstring;
+        if (!hs.caseSensitive && !hs.noConformity && found.trigger) {
+            text = this.applyCase(found.trigger, text);
+        }
+        if (!hs.fireImmediately && !hs.omitEndChar) {
+            text += hs.rawMode ? found.endChar : this.escapeSend(found.endChar);
+        }
+        return text;
+    }
+
+    /**
+     * Editing instructions for a match, from the hotstring's own replacement.
+     * @param {Object} found - From match()
+     * @returns {Array<Object>|null} See instructions(); null if the replacement is a
+     *     function, which the caller runs (then passes its text to instructions())
+     */
+    expand(found) {
+        const hs = found.hotstring;
+        if (typeof hs.replacement !== 'string') return null;
+        if (hs.type === 'regex') {
+            return this.instructions(found.trigger.length, found.trigger.replace(hs.trigger, hs.replacement));
+        }
+        const typed = found.trigger.length + found.endChar.length;
+        return this.instructions(hs.noBackspace ? 0 : typed, this.replacementText(found, hs.replacement), hs.rawMode);
+    }
+
+    /**
+     * Turns replacement text into instructions, applied in order at the caret:
+     * - `{ type: 'delete', count }` removes `count` characters (UTF-16 units) before the caret
+     * - `{ type: 'insert', text }` inserts text
+     * - `{ type: 'key', key, count, shift, ctrl }` presses an editing key `count` times:
+     *   Left, Right, Up, Down, Home, End move the caret (extending the selection with
+     *   `shift`, by words with `ctrl`); BS and Del delete; SelectAll selects everything
+     * @param {number} deleteCount - Characters to remove first (the typed trigger)
+     * @param {string} text - Send syntax, or literal text with `rawMode`
+     */
+    instructions(deleteCount, text, rawMode = false) {
+        const list = deleteCount > 0 ? [{ type: 'delete', count: deleteCount }] : [];
+        const ops = rawMode ? [{ type: 'text', text: String(text) }] : this.parseSend(String(text));
+        for (const op of ops) {
+            if (op.type !== 'text') list.push(op);
+            else if (op.text) list.push({ type: 'insert', text: op.text });
+        }
+        return list;
+    }
+
+    // --- Send Syntax ---
+
+    /**
+     * Tokenizes an AHK Send string into text and key operations.
+     * Supports {Key n} repeat counts, {Char n}, {U+XXXX}, {ASC nnn}, {Raw}/{Text},
+     * literal {{} / {}} and the ^ ! + # modifier prefixes.
+     * @param {string} str
+     * @returns {Array<Object>} Ops: { type: 'text', text } or { type: 'key', key, count, shift, ctrl }
+     */
+    parseSend(str) {
+        const ops = [];
+        const pushText = (text) => {
+            if (!text) return;
+            const last = ops[ops.length - 1];
+            if (last && last.type === 'text') last.text += text;
+            else ops.push({ type: 'text', text });
         };
 
-        const processLine = (line) => {
-            const match = line.match(/^:(.*?):(.*?)::(.*)$/);
-            if (match) {
-                const optsStr = match[1];
-                // Parse escapes in trigger and replacement
-                let trigger = this._parseAHKEscapes(match[2]);
-                let repl = this._parseAHKEscapes(match[3]);
+        let mods = "";
+        let i = 0;
+        while (i < str.length) {
+            const ch = str[i];
 
-                const fullDef = `:${optsStr}:${trigger}`;
-                try {
-                    this.add(fullDef, repl);
-                    result.added++;
+            // Modifier prefixes apply to the next key; a trailing one is sent literally
+            if ("^!+#".includes(ch) && i < str.length - 1) {
+                mods += ch;
+                i++;
+                continue;
+            }
 
-                    // We must re-process the stored replacement because add() takes it raw
-                    // Find the item we just added (last one) and parse escapes in replacement
-                    const lastItem = this.hotstrings[this.hotstrings.length - 1];
-                    if (typeof lastItem.replacement === 'string') {
-                        lastItem.replacement = this._parseAHKEscapes(lastItem.replacement);
-                    }
+            let name, arg;
+            if (ch === '{') {
+                // Search from i + 2 so that {}} yields "}" as the key name
+                const close = str.indexOf('}', i + 2);
+                if (close === -1) {
+                    pushText(str.slice(i));
+                    break;
+                }
+                const inner = str.slice(i + 1, close);
+                i = close + 1;
+                [, name, arg] = inner.match(/^(.+?)(?:\s+(\S+))?$/s);
 
-                } catch (e) {
-                    handleError(e.message, line);
+                const lower = name.toLowerCase();
+                if (lower === 'raw' || lower === 'text') {
+                    pushText(str.slice(i));
+                    break;
                 }
+                if (lower === 'asc') {
+                    name = String.fromCharCode(parseInt(arg, 10) || 0);
+                    arg = undefined;
+                } else if (/^u\+[0-9a-f]{1,6}$/i.test(name)) {
+                    name = String.fromCodePoint(parseInt(name.slice(2), 16));
+                } else if (!HotstringEngine.SEND_KEYS[lower] && Array.from(name).length > 1) {
+                    // Unknown key name: keep it visible rather than silently dropping it
+                    name = `{${inner}}`;
+                    arg = undefined;
+                }
+            } else {
+                name = String.fromCodePoint(str.codePointAt(i));
+                i += name.length;
             }
-        }
 
-        if (typeof input === 'string') {
-            const lines = input.split(/\r?\n/);
-            for (let i = 0; i < lines.length; i++) {
-                let line = lines[i].trim();
-                if (!line || line.startsWith(';')) continue;
-
-                // Manual parsing to handle multiline
-                const match = line.match(/^:(.*?):(.*?)::(.*)$/);
-                if (match) {
-                    const optsStr = match[1];
-                    let trigger = this._parseAHKEscapes(match[2]);
-                    let repl = match[3];
-
-                    // Multiline Block Detection
-                    if ((!repl || repl.trim() === '') && lines[i+1] && lines[i+1].trim().startsWith('(')) {
-                        let blockContent = [];
-                        let j = i + 2;
-                        let foundEnd = false;
-
-                        while (j < lines.length) {
-                            if (lines[j].trim().startsWith(')')) {
-                                foundEnd = true;
-                                i = j;
-                                break;
-                            }
-                            blockContent.push(lines[j]);
-                            j++;
-                        }
+            const count = /^\d+$/.test(arg || "") ? parseInt(arg, 10) : 1;
+            const shift = mods.includes('+');
+            const ctrl = mods.includes('^');
+            const altOrWin = mods.includes('!') || mods.includes('#');
+            mods = "";
 
-                        if (foundEnd) {
-                            repl = blockContent.join('\n'); // Join with actual newline
-                        } else {
-                            handleError(`Line ${i+1}: Unclosed multiline block`, line);
-                            continue;
-                        }
-                    }
+            const key = HotstringEngine.SEND_KEYS[name.toLowerCase()];
+            if (key && key.ignore) continue;
 
-                    // Apply escapes to replacement (multiline or single line)
-                    repl = this._parseAHKEscapes(repl);
+            if (key && key.key) {
+                // Alt/Win chords have no text-editing meaning
+                if (!altOrWin) ops.push({ type: 'key', key: key.key, count, shift, ctrl });
+                continue;
+            }
 
-                    const fullDef = `:${optsStr}:${trigger}`;
-                    try {
-                        this.add(fullDef, repl);
-                        result.added++;
-                    } catch (e) {
-                        handleError(`Line ${i+1}: ${e.message}`, line);
-                    }
+            const text = key ? key.text : name;
+            if (ctrl || altOrWin) {
+                // Chords don't type text; Ctrl+A is the only one with an editing effect
+                if (ctrl && !altOrWin && text.toLowerCase() === 'a') {
+                    ops.push({ type: 'key', key: 'SelectAll', count: 1, shift: false, ctrl: false });
                 }
+                continue;
             }
+            pushText((shift ? text.toUpperCase() : text).repeat(count));
         }
-        return result;
+        return ops;
+    }
+
+    /**
+     * Escapes Send special characters so text is sent literally.
+     */
+    escapeSend(text) {
+        return text.replace(/[{}^!+#]/g, '{$&}');
+    }
+
+    // --- Text ---
+
+    // Per code point, so a trigger and the typed text fold the same way in any context
+    foldCase(str) {
+        let out = "";
+        for (const ch of str) out += this._lower(this._upper(ch));
+        return out;
+    }
+
+    /**
+     * @param {string} char - One code point
+     */
+    isWordChar(char) {
+        if (typeof this.wordChars === 'function') return !!this.wordChars(char);
+        this.wordChars.lastIndex = 0;
+        return this.wordChars.test(char);
+    }
+
+    // Without a locale, casing stays independent of the host's language
+    _upper(str) {
+        return this.locale ? str.toLocaleUpperCase(this.locale) : str.toUpperCase();
+    }
+
+    _lower(str) {
+        return this.locale ? str.toLocaleLowerCase(this.locale) : str.toLowerCase();
+    }
+
+    _compare(a, b, cs) {
+        if (!a || !b) return false;
+        return cs ? a === b : this.foldCase(a) === this.foldCase(b);
+    }
+
+    _isStartOfWord(buffer, len) {
+        const start = buffer.length - len;
+        if (start <= 0) return true;
+        // The code point before the trigger, both halves of a surrogate pair
+        const pair = start >= 2 && /[\uD800-\uDBFF][\uDC00-\uDFFF]/.test(buffer.slice(start - 2, start));
+        if (!this.isWordChar(buffer.slice(pair ? start - 2 : start - 1, start))) return true;
+        return this.segmentWords && this._isWordBoundary(buffer, start);
+    }
+
+    // Dictionary word boundaries, for Chinese, Japanese or Thai text without spaces
+    _isWordBoundary(text, index) {
+        if (typeof Intl === 'undefined' || !Intl.Segmenter) return false;
+        if (!this._segmenter || this._segmenter.locale !== this.locale) {
+            this._segmenter = { locale: this.locale, words: new Intl.Segmenter(this.locale, { granularity: 'word' }) };
+        }
+        return this._segmenter.words.segment(text).containing(index).index === index;
+    }
+}
+
+
+/**
+ * Binds a HotstringEngine to text fields: listens to typing, applies the engine's
+ * matches to the editor, and adds events, variables, snippets, conditions, groups,
+ * persistence and suggestions on top.
+ */
+class HotstringManager {
+    /**
+     * @param {HTMLElement|Document} targetElement - textarea, input or contenteditable element,
+     *     or a container (or document) when `options.delegate` is set
+     * @param {Object} [options]
+     * @param {EditorAdapter} [options.adapter] - Custom editor adapter (defaults to the registered match)
+     * @param {boolean} [options.delegate=false] - Handle every matching field inside the container
+     * @param {string} [options.include] - Selector for fields handled in delegate mode
+     * @param {string} [options.exclude] - Selector for fields to skip in delegate mode
+     * @param {boolean} [options.snippets=false] - Interpret $0, $1, ${1:default} tab stops in replacements
+     * @param {string} [options.locale] - Locale for month/day names in %date% variables and for
+     *     casing (case conformity, case-insensitive triggers)
+     * @param {RegExp|function(string): boolean} [options.wordChars] - Characters words are made of
+     *     (see HotstringEngine.WORD_CHARS)
+     * @param {boolean} [options.segmentWords=false] - Treat dictionary word boundaries as word starts
+     * @param {boolean} [options.backspaceUndo=false] - Backspace/Ctrl+Z right after an expansion restores the trigger
+     * @param {string|StorageAdapter} [options.storage] - 'local', 'indexeddb' or an adapter to persist hotstrings
+     * @param {boolean|Object} [options.suggestions=false] - Suggestion popup ({ minChars, maxItems, render })
+     * @param {boolean} [options.fullWidthEndChars=false] - Treat CJK full-width punctuation as EndChars
+     * @param {string} [options.triggerMode='auto'] - 'hotkey' expands only on the expand key or expandAtCaret()
+     * @param {string|string[]} [options.expandKey] - Key combination(s) bound to expandAtCaret()
+     *     (default 'Ctrl+Space' in hotkey mode)
+     * @param {boolean} [options.stats=true] - Track usage statistics (see getStats())
+     */
+    constructor(targetElement, options = {}) {
+        this.root = targetElement;
+        this.delegate = options.delegate === true;
+        this.include = options.include || HotstringManager.DEFAULT_INCLUDE;
+        this.exclude = options.exclude || null;
+
+        // Matching, parsing and the hotstring table (see the accessors below)
+        const endChars = [...HotstringEngine.END_CHARS];
+        if (options.fullWidthEndChars) endChars.push(...HotstringManager.FULL_WIDTH_END_CHARS);
+        this.engine = new HotstringEngine({
+            endChars,
+            wordChars: options.wordChars,
+            segmentWords: options.segmentWords,
+            locale: options.locale
+        });
+
+        // Per-element state (adapter, buffers). In delegate mode each field gets
+        // its own entry, created the first time it receives an event.
+        this._states = new WeakMap();
+        this._active = null;
+        if (!this.delegate) {
+            this._active = this._createState(targetElement, options.adapter);
+        }
+
+        this._nextId = 1;
+
+        // Context conditions: the named context from setContext() and the hotIf() default
+        this.context = null;
+        this._hotIf = null;
+
+        // Named groups: name -> { name, enabled, options, when, undo, meta }
+        this._groups = new Map();
+
+        this.muteMode = false;
+
+        this.isLocked = false;
+        this.lockBuffer = [];
+        this.maxLockBuffer = 200;
+        this._lockCancel = null;
+        this.isReplacing = false;
+
+        // 'auto' fires on end chars (or immediately with *); 'hotkey' waits for the expand key
+        if (options.triggerMode && !['auto', 'hotkey'].includes(options.triggerMode)) {
+            throw new Error(`Unknown trigger mode: ${options.triggerMode}`);
+        }
+        this.triggerMode = options.triggerMode || 'auto';
+
+        // Key combinations handled before anything else: normalized combo -> action
+        this._bindings = new Map();
+        const expandKey = options.expandKey || (this.triggerMode === 'hotkey' ? 'Ctrl+Space' : null);
+        for (const combo of [].concat(expandKey || [])) this.bindKey(combo, 'expand');
+
+        // Reset buffer on mouse click by default
+        this.resetOnMouse = true;
+
+        // Snippet tab stops ($1, ${1:default}, $0) in replacement text
+        this.snippets = options.snippets === true;
+
+        // Backspace (or Ctrl+Z) immediately after an expansion restores the typed trigger
+        this.backspaceUndo = options.backspaceUndo === true;
+
+        // Suggestion popup for partially typed triggers
+        this.suggestions = options.suggestions
+            ? { minChars: 2, maxItems: 8, render: true, ...(options.suggestions === true ? {} : options.suggestions) }
+            : null;
+        this._suggest = null;
+        this._suggestElement = null;
+
+        // Usage statistics per hotstring id: { count, lastUsed, charsSaved, undone, lastSaved }
+        this.trackStats = options.stats !== false;
+        this._stats = new Map();
+
+        // Dynamic variables (%date%, %counter%, ...): user-registered values and counter state
+        this.variables = new Map();
+        this._counters = new Map();
+
+        // Event listeners registered via on()
+        this._handlers = new Map();
+
+        // Persistence: the saved table is loaded now and saved again after every change
+        this.storage = HotstringManager._createStorage(options.storage);
+        this._storageLoaded = false;
+        this._storageDirty = false;
+        this._storageBlocked = false;
+        this._saveQueued = false;
+        this._applyingStorage = false;
+        this._unsubscribeStorage = null;
+        this.ready = this._initStorage();
+
+        this._bindEvents();
+    }
+
+    // --- Element State ---
+    // Buffers and the adapter belong to the element being edited; these accessors
+    // resolve them against the active element so the engine works the same in
+    // single-element and delegate mode.
+
+    get target() {
+        return this._active ? this._active.element : null;
+    }
+
+    get adapter() {
+        return this._active ? this._active.adapter : null;
+    }
+
+    get buffer() {
+        return this._active ? this._active.buffer : "";
+    }
+
+    set buffer(value) {
+        if (this._active) this._active.buffer = value;
+    }
+
+    get muteBuffer() {
+        return this._active ? this._active.muteBuffer : "";
+    }
+
+    set muteBuffer(value) {
+        if (this._active) this._active.muteBuffer = value;
+    }
+
+    // --- Engine ---
+    // The table and matching settings live in the engine; these keep them reachable
+    // under their long-standing names.
+
+    get hotstrings() {
+        return this.engine.hotstrings;
+    }
+
+    set hotstrings(list) {
+        this.engine.hotstrings = list;
+    }
+
+    get endChars() {
+        return this.engine.endChars;
+    }
+
+    set endChars(chars) {
+        this.engine.endChars = chars;
+    }
+
+    get maxBuffer() {
+        return this.engine.maxBuffer;
+    }
+
+    set maxBuffer(value) {
+        this.engine.maxBuffer = value;
+    }
+
+    get wordChars() {
+        return this.engine.wordChars;
+    }
+
+    set wordChars(value) {
+        this.engine.wordChars = value;
+    }
+
+    get locale() {
+        return this.engine.locale;
+    }
+
+    set locale(value) {
+        this.engine.locale = value;
+    }
+
+    get isSuspended() {
+        return this.engine.suspended;
+    }
+
+    set isSuspended(value) {
+        this.engine.suspended = value;
+    }
+
+    // --- Editor Adapters ---
+
+    /**
+     * Registers an editor adapter. Adapters registered later take precedence,
+     * so custom editors can override the built-in textarea/contenteditable handling.
+     * @param {function(HTMLElement): boolean} matcher - Returns true if the adapter handles the element
+     * @param {typeof EditorAdapter} AdapterClass - Adapter constructor, called with the element
+     */
+    static registerAdapter(matcher, AdapterClass) {
+        HotstringManager._adapters.unshift({ matcher, AdapterClass });
+    }
+
+    /**
+     * Creates the adapter for an element using the registered matchers.
+     * @param {HTMLElement} element
+     * @returns {EditorAdapter}
+     */
+    static createAdapter(element) {
+        const entry = HotstringManager._adapters.find(a => a.matcher(element));
+        if (!entry) throw new Error(`No editor adapter registered for element: ${element && element.tagName}`);
+        return new entry.AdapterClass(element);
+    }
+
+    // --- Events ---
+
+    /**
+     * Subscribes to a manager event. Every event object carries `type`, `manager`,
+     * `target` (the active field) and `hotstring` (the record involved, or null).
+     *
+     * - `beforeexpand` { trigger, endChar, replacement, match? } - cancelable with
+     *   preventDefault(); assign `event.replacement` to change what is inserted
+     * - `expand` { trigger, endChar, replacement }
+     * - `undo` { original } - an expansion was reverted with Backspace
+     * - `bufferchange` { buffer, isMute, isLocked }
+     * - `reset` { reason } - reason is null when a hotstring fired
+     * - `lock` / `unlock` - input is blocked while typing (SE) or waiting for async values
+     * - `suspend` { suspended }
+     * - `error` { error }
+     * - `conflict` { previous } - add() replaced a hotstring with the same trigger
+     * - `load` { source } - hotstrings were loaded from storage ('storage') or changed
+     *   by another tab ('sync')
+     * - `suggest` { prefix, items, selected } - suggestions changed (items is empty when hidden)
+     * - `cancel` { hotstring, trigger } - Escape stopped an expansion that was typing (SE)
+     *
+     * @param {string} type
+     * @param {function(Object): void} listener
+     * @returns {HotstringManager} this
+     */
+    on(type, listener) {
+        if (!this._handlers.has(type)) this._handlers.set(type, new Set());
+        this._handlers.get(type).add(listener);
+        return this;
+    }
+
+    /**
+     * Removes a listener added with on().
+     * @returns {HotstringManager} this
+     */
+    off(type, listener) {
+        const listeners = this._handlers.get(type);
+        if (listeners) listeners.delete(listener);
+        return this;
+    }
+
+    _emit(type, detail = {}) {
+        const event = {
+            type,
+            manager: this,
+            target: this.target,
+            hotstring: null,
+            defaultPrevented: false,
+            preventDefault() { this.defaultPrevented = true; },
+            ...detail
+        };
+
+        const listeners = this._handlers.get(type);
+        if (listeners) {
+            for (const listener of [...listeners]) {
+                try {
+                    listener(event);
+                } catch (error) {
+                    if (type === 'error') console.error(error);
+                    else this._reportError(error);
+                }
+            }
+        }
+        return event;
+    }
+
+    _reportError(error, hotstring = null) {
+        const listeners = this._handlers.get('error');
+        if (!listeners || listeners.size === 0) console.error(error);
+        this._emit('error', { error, hotstring });
+    }
+
+    // --- Public API ---
+
+    setMuteMode(enabled) {
+        this.muteMode = enabled;
+        if (!enabled) {
+            this.muteBuffer = "";
+            this._updateDebug();
+        }
+    }
+
+    toggleSuspend() {
+        this.isSuspended = !this.isSuspended;
+        this._emit('suspend', { suspended: this.isSuspended });
+        return this.isSuspended;
+    }
+
+    /**
+     * Expands the hotstring whose trigger ends right before the caret, as if an end char
+     * had been typed (or the hotstring had the `*` option). The text in the field decides
+     * the match, so it works after clicks and caret moves. For toolbar buttons, keep the
+     * field focused (e.g. preventDefault() on mousedown) so its caret is not lost.
+     * @returns {boolean} True if a hotstring fired
+     */
+    expandAtCaret() {
+        if (!this._active || this.isLocked || this.muteMode || this._active.composing) return false;
+        const adapter = this.adapter;
+        const { start, end } = adapter.getSelection();
+        if (start !== end) return false;
+
+        this.buffer = this.engine.trimBuffer(adapter.getText().slice(0, start));
+        this._hideSuggestions();
+        return this._fire(this.engine.match(this.buffer, "", { atCaret: true, accept: this._acceptor() }));
+    }
+
+    /**
+     * Binds a key combination, handled before hotstring processing.
+     * @param {string} combo - E.g. 'Ctrl+Space', 'Alt+Shift+E', 'Tab'
+     * @param {string|function(Object): (boolean|void)} action - 'expand', 'reset', 'suspend',
+     *     or a function receiving `{ manager, target, event }`. Returning false lets the key
+     *     through as if it were not bound.
+     */
+    bindKey(combo, action) {
+        if (typeof action === 'string') {
+            if (!HotstringManager.KEY_ACTIONS[action]) throw new Error(`Unknown key action: ${action}`);
+        } else if (typeof action !== 'function') {
+            throw new Error('Key action must be a function or an action name');
+        }
+        this._bindings.set(this._normalizeCombo(combo), action);
+    }
+
+    /**
+     * @returns {boolean} False if the combination was not bound
+     */
+    unbindKey(combo) {
+        return this._bindings.delete(this._normalizeCombo(combo));
+    }
+
+    /**
+     * Clears the current detection buffer programmatically.
+     * Equivalent to AHK's Hotstring("Reset")
+     */
+    reset() {
+        this._resetBuffer("Manual Reset");
+    }
+
+    /**
+     * Programmatically trigger a hotstring by its definition string.
+     * Matches the original definition provided in add(), or the id it returned.
+     * @param {string|number} definition - E.g. ":*:btw"
+     */
+    trigger(definition) {
+        const hs = this._find(definition);
+        if (!hs) {
+            console.warn(`Hotstring definition not found: ${definition}`);
+            return;
+        }
+        if (!hs.enabled) {
+            console.warn(`Hotstring is disabled: ${definition}`);
+            return;
+        }
+        if (!this._active) {
+            console.warn(`No active field to trigger into: ${definition}`);
+            return;
+        }
+        // Execute with 0 backspace (simulated trigger), empty end char, default case
+        this._triggerAction({ hotstring: hs, trigger: "", endChar: "" }).catch(e => this._reportError(e, hs));
+    }
+
+    /**
+     * Search hotstrings by content (replacement text).
+     * @param {string|RegExp} query - Text to find in the replacement.
+     * @param {Object} [options]
+     * @param {boolean} [options.details=false] - Return `{ id, definition, group }` objects,
+     *     where `group` is null or `{ name, enabled, ...metadata }`
+     * @param {boolean} [options.rank=false] - Most used first (fires minus undone ones, see getStats())
+     *     instead of table order
+     * @returns {Array<string|Object>} Matching trigger definitions (e.g. [":*:btw"])
+     */
+    search(query, options = {}) {
+        const results = [];
+
+        let matches = this.hotstrings.filter(hs => this._matchesQuery(hs, query));
+        if (options.rank === true) {
+            // Array sort is stable, so equally used hotstrings keep their table order
+            matches = matches
+                .map(hs => ({ hs, score: this._usageScore(hs) }))
+                .sort((a, b) => b.score - a.score)
+                .map(entry => entry.hs);
+        }
+
+        for (const hs of matches) {
+            if (options.details) {
+                results.push({
+                    id: hs.id,
+                    definition: hs.originalDefinition || hs.trigger.toString(),
+                    group: hs.group ? this._groupInfo(hs.group) : null
+                });
+            } else if (hs.originalDefinition) {
+                results.push(hs.originalDefinition);
+            } else if (hs.type === 'regex') {
+                results.push(hs.trigger.toString());
+            }
+        }
+        return results;
+    }
+
+    _matchesQuery(hs, query) {
+        // Determine content to search (Replacement text or Function string)
+        let content = "";
+        if (typeof hs.replacement === 'string') {
+            content = hs.replacement;
+        } else if (typeof hs.replacement === 'function') {
+            content = hs.replacement.toString();
+        }
+
+        if (query instanceof RegExp) return query.test(content);
+        return content.toLowerCase().includes(typeof query === 'string' ? query.toLowerCase() : "");
+    }
+
+    // --- Usage Stats ---
+
+    /**
+     * Usage statistics since the page loaded (or the last resetStats()).
+     * `charsSaved` is the length of the inserted text minus what was typed for it,
+     * net of expansions that were undone right away (`undone`, a sign of accidental fires).
+     * Undoing is only noticed with the `backspaceUndo` option; otherwise `undone` stays 0.
+     * @param {string|number|RegExp} [ref] - One hotstring (id, definition or regex)
+     * @returns {Object|null} For `ref`: `{ id, definition, count, lastUsed, charsSaved, undone }`
+     *     (`lastUsed` is a timestamp or null), or null if nothing matched. Otherwise
+     *     `{ count, charsSaved, undone, hotstrings }` with the hotstrings most used first.
+     */
+    getStats(ref) {
+        if (ref !== undefined) {
+            const hs = this._find(ref);
+            return hs ? this._statsEntry(hs) : null;
+        }
+
+        const hotstrings = this.hotstrings.map(hs => this._statsEntry(hs))
+            .sort((a, b) => (b.count - b.undone) - (a.count - a.undone));
+        return {
+            count: hotstrings.reduce((sum, entry) => sum + entry.count, 0),
+            charsSaved: hotstrings.reduce((sum, entry) => sum + entry.charsSaved, 0),
+            undone: hotstrings.reduce((sum, entry) => sum + entry.undone, 0),
+            hotstrings
+        };
+    }
+
+    /**
+     * Clears the statistics of one hotstring, or of all of them.
+     * @param {string|number|RegExp} [ref] - Id, definition or regex
+     */
+    resetStats(ref) {
+        if (ref === undefined) {
+            this._stats.clear();
+            return;
+        }
+        const hs = this._find(ref);
+        if (hs) this._stats.delete(hs.id);
+    }
+
+    _statsEntry(hs) {
+        const stats = this._stats.get(hs.id);
+        return {
+            id: hs.id,
+            definition: hs.originalDefinition || hs.trigger.toString(),
+            count: stats ? stats.count : 0,
+            lastUsed: stats ? stats.lastUsed : null,
+            charsSaved: stats ? stats.charsSaved : 0,
+            undone: stats ? stats.undone : 0
+        };
+    }
+
+    _usageScore(hs) {
+        const stats = this._stats.get(hs.id);
+        return stats ? stats.count - stats.undone : 0;
+    }
+
+    /**
+     * Counts an expansion and emits `expand` with its `charsSaved`.
+     * @param {Object} detail - Event fields; `trigger` and `endChar` are what the user typed,
+     *     `replacement` the text inserted for them (end char included unless omitted)
+     */
+    _expanded(detail, rawMode = false) {
+        const { hotstring: hs, trigger, endChar, replacement } = detail;
+        // With B0 the trigger stays in the field, so only the end char was typed for the text
+        const typed = (hs.noBackspace ? 0 : Array.from(trigger).length) + Array.from(endChar).length;
+        const charsSaved = typeof replacement === 'string' ? this._insertedLength(replacement, rawMode) - typed : 0;
+
+        if (this.trackStats) {
+            const stats = this._stats.get(hs.id) || { count: 0, lastUsed: null, charsSaved: 0, undone: 0, lastSaved: 0 };
+            stats.count++;
+            stats.lastUsed = Date.now();
+            stats.charsSaved += charsSaved;
+            stats.lastSaved = charsSaved;
+            this._stats.set(hs.id, stats);
+        }
+        this._emit('expand', { ...detail, charsSaved });
+    }
+
+    // Characters that end up in the field: Send keys like {Enter} count, {Left} does not
+    _insertedLength(text, rawMode) {
+        let length = 0;
+        for (const op of this._toSendOps(text, rawMode)) {
+            if (op.type === 'text') length += Array.from(op.text).length;
+            else if (op.type === 'field') length += Array.from(op.placeholder).length;
+        }
+        return length;
+    }
+
+    _countUndo(hs) {
+        const stats = this.trackStats && this._stats.get(hs.id);
+        if (!stats) return;
+        // Only the latest expansion can be undone, so its savings are taken back
+        stats.undone++;
+        stats.charsSaved -= stats.lastSaved;
+        stats.lastSaved = 0;
+    }
+
+    /**
+     * Registers a named variable usable as %name% (or %name:arg%) in replacements.
+     * @param {string} name - Variable name (case-insensitive)
+     * @param {string|function(string, Object): (string|Promise<string>)} value - Value, or
+     *     function called with the argument after ':' and the expansion context
+     */
+    setVariable(name, value) {
+        this.variables.set(name.toLowerCase(), value);
+    }
+
+    removeVariable(name) {
+        this.variables.delete(name.toLowerCase());
+    }
+
+    /**
+     * Resets %counter% (or the named counter %counter:name%).
+     */
+    resetCounter(name = "") {
+        this._counters.delete(name);
+    }
+
+    /**
+     * Read-only getter for current EndChars
+     */
+    get endCharsString() {
+        return Array.from(this.endChars).join('');
+    }
+
+    /**
+     * Sets #Hotstring NoMouse behavior
+     */
+    setNoMouse(enabled) {
+        this.resetOnMouse = !enabled;
+    }
+
+    /**
+     * Dynamically sets the EndChars list.
+     * Equivalent to AHK's #Hotstring EndChars
+     * @param {string} charsStr - String containing all end characters
+     */
+    setEndChars(charsStr) {
+        this.endChars = new Set(charsStr.split(''));
+    }
+
+    /**
+     * Adds a hotstring.
+     * @param {string} definition - AHK style definition, e.g. ":*:btw"
+     * @param {string|function(Object): *} replacement - Replacement text, or function (execute mode)
+     *     called with a context object; it may return text, a Promise of it or `{ text, caret, raw }`
+     * @param {Object} [options]
+     * @param {boolean} [options.undo=true] - Allow Backspace to revert this expansion (see backspaceUndo)
+     * @param {string|number} [options.id] - Id to use instead of a generated one
+     * @param {boolean} [options.enabled=true]
+     * @param {Object|function} [options.when] - Condition under which it fires (see hotIf())
+     * @param {string} [options.group] - Group name (see defineGroup())
+     * @returns {string|number} The hotstring id
+     */
+    add(definition, replacement, options = {}) {
+        const group = options.group ? this._groups.get(options.group) : null;
+        return this._insert(this.engine.compile(definition, replacement, group ? group.options : ""), options);
+    }
+
+    /**
+     * Adds a regex hotstring. The pattern is anchored to the end of the buffer.
+     * @param {RegExp} regexPattern
+     * @param {string|function(...string): (string|Promise<string>)} action - Template string
+     *     ($1, $<name>, $&), or function called with the match and its groups, plus a context
+     *     object whose `signal` is an AbortSignal fired on timeout. Functions may return text,
+     *     a Promise or `{ text, caret, raw }`.
+     * @param {Object} [options]
+     * @param {number} [options.priority=0]
+     * @param {boolean} [options.async=false] - Informational; Promise results are always awaited
+     * @param {boolean} [options.blockInput=true] - Hold keystrokes while an async action is pending
+     * @param {number} [options.timeout=3000] - Abort an async action after this many ms
+     * @param {string} [options.placeholder] - Text shown in place of the trigger while pending
+     * @param {boolean} [options.undo=true] - Allow Backspace to revert this expansion
+     * @param {string|number} [options.id] - Id to use instead of a generated one
+     * @param {boolean} [options.enabled=true]
+     * @param {Object|function} [options.when] - Condition under which it fires (see hotIf())
+     * @param {string} [options.group] - Group name (see defineGroup())
+     * @returns {string|number} The hotstring id
+     */
+    addRegex(regexPattern, action, options = {}) {
+        const record = this.engine.compileRegex(regexPattern, action, options.priority || 0);
+        record.options = {
+            async: options.async || false,
+            blockInput: options.blockInput !== false,
+            timeout: options.timeout || 3000,
+            placeholder: options.placeholder || ""
+        };
+        return this._insert(record, options);
+    }
+
+    /**
+     * Stores a new record. Like AHK, a hotstring with the same trigger replaces the
+     * existing one (keeping its id) instead of being added next to it.
+     * Options left out fall back to the hotIf() condition and the group's defaults.
+     */
+    _insert(record, options) {
+        const previous = this._findConflict(record);
+        let id = options.id;
+        if (id === undefined && previous) id = previous.id;
+        if (id === undefined) {
+            while (this.hotstrings.some(hs => hs.id === this._nextId)) this._nextId++;
+            id = this._nextId++;
+        }
+        const owner = this.hotstrings.find(hs => hs.id === id);
+        if (owner && owner !== previous) throw new Error(`Duplicate hotstring id: ${id}`);
+
+        const group = options.group ? this._groups.get(options.group) : null;
+        record.id = id;
+        record.group = options.group || null;
+        record.enabled = options.enabled !== false;
+        record.undo = options.undo !== undefined ? options.undo !== false : !(group && group.undo === false);
+        record.when = options.when !== undefined ? options.when : (this._hotIf || (group && group.when) || null);
+        if (previous) {
+            this.hotstrings[this.hotstrings.indexOf(previous)] = record;
+            this._emit('conflict', { hotstring: record, previous });
+        } else {
+            this.hotstrings.push(record);
+        }
+        this.engine.sort(); // Respect Pn priority and length
+        this._scheduleSave();
+        return id;
+    }
+
+    /**
+     * Returns the hotstring `record` would replace. Text hotstrings are the same when
+     * their triggers match (case-insensitively unless C) with the same C and ? options;
+     * regex hotstrings when pattern and flags match.
+     */
+    _findConflict(record, except = null) {
+        const key = this._conflictKey(record);
+        return this.hotstrings.find(hs => hs !== except && this._conflictKey(hs) === key) || null;
+    }
+
+    _conflictKey(hs) {
+        if (hs.type === 'regex') return `regex:${hs.trigger}`;
+        // Folded like the matcher folds typed text, so duplicates are the triggers that match alike
+        const trigger = hs.caseSensitive ? hs.trigger : this.engine.foldCase(hs.trigger);
+        return `text:${hs.caseSensitive ? 'C' : ''}${hs.insideWord ? '?' : ''}:${trigger}`;
+    }
+
+    // --- Management ---
+
+    /**
+     * Finds a hotstring by id, original definition or regex (pattern and flags).
+     */
+    _find(ref) {
+        if (ref instanceof RegExp) {
+            const anchored = ref.source.endsWith('$') ? ref.source : ref.source + '$';
+            return this.hotstrings.find(hs => hs.type === 'regex' &&
+                hs.trigger.source === anchored && hs.trigger.flags === ref.flags) || null;
+        }
+        return this.hotstrings.find(hs => hs.id === ref) ||
+            this.hotstrings.find(hs => hs.originalDefinition === ref) || null;
+    }
+
+    /**
+     * Removes a hotstring.
+     * @param {string|number|RegExp} ref - Id, original definition (e.g. ":*:btw") or regex
+     * @returns {boolean} false if nothing matched
+     */
+    remove(ref) {
+        const hs = this._find(ref);
+        if (!hs) return false;
+        this.hotstrings.splice(this.hotstrings.indexOf(hs), 1);
+        this._stats.delete(hs.id);
+        this._scheduleSave();
+        return true;
+    }
+
+    /**
+     * Changes an existing hotstring in place; it keeps its id.
+     * @param {string|number|RegExp} ref - Id, original definition or regex
+     * @param {Object} changes - Any of `definition` (text) or `pattern` (regex), `replacement`,
+     *     `undo`, `enabled`, `priority`, `when`, `group`, and the regex options `blockInput`,
+     *     `timeout`, `placeholder`
+     * @returns {boolean} false if nothing matched
+     */
+    update(ref, changes) {
+        const hs = this._find(ref);
+        if (!hs) return false;
+
+        const record = { ...hs, options: hs.options && { ...hs.options } };
+        if (changes.group !== undefined) record.group = changes.group || null;
+        if (hs.type === 'text' && (changes.definition !== undefined || changes.group !== undefined)) {
+            // Group default options are applied again when the definition or group changes
+            const definition = changes.definition !== undefined ? changes.definition : hs.originalDefinition;
+            const group = record.group ? this._groups.get(record.group) : null;
+            const parsed = this.engine.parseDefinition(definition, group ? group.options : "");
+            if (!parsed) throw new Error(`Invalid definition syntax: ${definition}`);
+            Object.assign(record, parsed, { originalDefinition: definition });
+        }
+        if (hs.type === 'regex' && changes.pattern !== undefined) {
+            record.trigger = this.engine.compileRegex(changes.pattern).trigger;
+        }
+        if (changes.replacement !== undefined) record.replacement = changes.replacement;
+        if (typeof record.replacement === 'function' && hs.type === 'text') record.execute = true;
+        if (changes.undo !== undefined) record.undo = changes.undo !== false;
+        if (changes.enabled !== undefined) record.enabled = changes.enabled !== false;
+        if (changes.priority !== undefined) record.priority = changes.priority;
+        if (changes.when !== undefined) record.when = changes.when;
+        if (hs.type === 'regex') {
+            for (const key of ['blockInput', 'timeout', 'placeholder']) {
+                if (changes[key] !== undefined) record.options[key] = changes[key];
+            }
+        }
+
+        // The new trigger may now collide with another hotstring, which it replaces
+        const previous = this._findConflict(record, hs);
+        if (previous) {
+            this.hotstrings.splice(this.hotstrings.indexOf(previous), 1);
+            this._emit('conflict', { hotstring: record, previous });
+        }
+        this.hotstrings[this.hotstrings.indexOf(hs)] = record;
+        this.engine.sort();
+        this._scheduleSave();
+        return true;
+    }
+
+    /**
+     * Turns a hotstring back on after disable().
+     * @returns {boolean} false if nothing matched
+     */
+    enable(ref) {
+        return this.update(ref, { enabled: true });
+    }
+
+    /**
+     * Stops a hotstring from firing without removing it. Equivalent to AHK's Hotstring(..., "Off")
+     * @returns {boolean} false if nothing matched
+     */
+    disable(ref) {
+        return this.update(ref, { enabled: false });
+    }
+
+    /**
+     * Returns a copy of one hotstring record, or null.
+     * @param {string|number|RegExp} ref - Id, original definition or regex
+     */
+    get(ref) {
+        const hs = this._find(ref);
+        return hs ? this._snapshot(hs) : null;
+    }
+
+    /**
+     * Returns copies of the hotstring records, in matching order.
+     * @param {Object|function(Object): boolean} [filter] - Predicate, or an object with any of
+     *     `type` ('text' | 'regex'), `enabled` (boolean), `group` (name, or null for ungrouped),
+     *     `trigger` (string or RegExp tested against the trigger text) and `query` (as in search())
+     * @returns {Object[]}
+     */
+    list(filter = {}) {
+        const test = typeof filter === 'function' ? filter : (hs) => {
+            if (filter.type && hs.type !== filter.type) return false;
+            if (filter.enabled !== undefined && hs.enabled !== filter.enabled) return false;
+            if (filter.group !== undefined && hs.group !== filter.group) return false;
+            if (filter.trigger !== undefined) {
+                const trigger = hs.type === 'regex' ? hs.trigger.source : hs.trigger;
+                if (filter.trigger instanceof RegExp ? !filter.trigger.test(trigger) : trigger !== filter.trigger) return false;
+            }
+            if (filter.query !== undefined && !this._matchesQuery(hs, filter.query)) return false;
+            return true;
+        };
+        return this.hotstrings.map(hs => this._snapshot(hs)).filter(test);
+    }
+
+    _snapshot(hs) {
+        return hs.options ? { ...hs, options: { ...hs.options } } : { ...hs };
+    }
+
+    // --- Groups ---
+
+    /**
+     * Creates or reconfigures a named group. Defaults apply to hotstrings added to the
+     * group afterwards (via add(), addRegex() or import() with `{ group }`); options
+     * given for a hotstring itself take precedence.
+     * @param {string} name
+     * @param {Object} [config]
+     * @param {string} [config.options] - Default AHK options, e.g. "*C"
+     * @param {Object|function} [config.when] - Default condition (see hotIf())
+     * @param {boolean} [config.undo] - Default for Backspace undo
+     * @param {boolean} [config.enabled=true]
+     * Any other keys (label, description, version...) are kept as metadata.
+     * @returns {HotstringManager} this
+     * @throws {Error} If `options` contains an unknown option
+     */
+    defineGroup(name, config = {}) {
+        const { options = "", when = null, undo, enabled = true, ...meta } = config;
+        const { errors } = this.engine.parseOptions(options);
+        if (errors.length) throw new Error(`${errors[0]} in group ${name}`);
+        this._groups.set(name, { name, enabled: enabled !== false, options, when, undo, meta });
+        this._scheduleSave();
+        return this;
+    }
+
+    /**
+     * Turns on the hotstrings of a group after disableGroup().
+     */
+    enableGroup(name) {
+        this._group(name).enabled = true;
+        this._scheduleSave();
+    }
+
+    /**
+     * Stops every hotstring of a group from firing. Their own enabled state is kept.
+     */
+    disableGroup(name) {
+        this._group(name).enabled = false;
+        this._scheduleSave();
+    }
+
+    /**
+     * Removes a group and all of its hotstrings.
+     * @returns {number} Number of hotstrings removed
+     */
+    removeGroup(name) {
+        const count = this.hotstrings.length;
+        for (const hs of this.hotstrings) if (hs.group === name) this._stats.delete(hs.id);
+        this.hotstrings = this.hotstrings.filter(hs => hs.group !== name);
+        this._groups.delete(name);
+        this._scheduleSave();
+        return count - this.hotstrings.length;
+    }
+
+    /**
+     * Lists the known groups with their state, metadata and hotstring count.
+     * @returns {Array<{name: string, enabled: boolean, count: number}>}
+     */
+    listGroups() {
+        const names = new Set(this._groups.keys());
+        for (const hs of this.hotstrings) if (hs.group) names.add(hs.group);
+        return [...names].map(name => ({
+            ...this._groupInfo(name),
+            count: this.hotstrings.filter(hs => hs.group === name).length
+        }));
+    }
+
+    // Groups spring into existence when first used, like AHK's Hotstring() does for triggers
+    _group(name) {
+        if (!this._groups.has(name)) this.defineGroup(name);
+        return this._groups.get(name);
+    }
+
+    _groupInfo(name) {
+        const group = this._groups.get(name);
+        return group ? { ...group.meta, name, enabled: group.enabled } : { name, enabled: true };
+    }
+
+    // --- Context Conditions ---
+
+    /**
+     * Sets the condition for hotstrings added afterwards, like AHK's #HotIf.
+     * With a callback, the condition only applies to hotstrings added inside it.
+     *
+     * A condition is a predicate `(ctx) => boolean`, called with
+     * `{ manager, target, hotstring, context }`, or an object whose entries must all hold:
+     * - `selector`: CSS selector the field must match
+     * - `tag`: tag (or array, any of) listed in the field's `data-hotstrings` attribute,
+     *   or an ancestor's
+     * - `context`: name (or array, any of) of the context set with setContext()
+     * - `predicate`: function as above
+     *
+     * @param {Object|function|null} condition - null clears it
+     * @param {function(): void} [callback]
+     * @returns {HotstringManager} this
+     */
+    hotIf(condition, callback) {
+        const previous = this._hotIf;
+        this._hotIf = condition || null;
+        if (callback) {
+            try {
+                callback();
+            } finally {
+                this._hotIf = previous;
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Names the current context (e.g. 'sql'), for hotstrings with a `context` condition.
+     * @param {string|null} name
+     */
+    setContext(name) {
+        this.context = name || null;
+    }
+
+    _testCondition(when, hs) {
+        const ctx = { manager: this, target: this.target, hotstring: hs, context: this.context };
+        if (typeof when === 'function') return !!when(ctx);
+
+        const target = this.target;
+        if (when.selector && !(target && target.matches && target.matches(when.selector))) return false;
+        if (when.tag) {
+            const tagged = target && target.closest && target.closest(`[${HotstringManager.TAG_ATTRIBUTE}]`);
+            const tags = tagged ? tagged.getAttribute(HotstringManager.TAG_ATTRIBUTE).split(/\s+/) : [];
+            if (![].concat(when.tag).some(tag => tags.includes(tag))) return false;
+        }
+        if (when.context && ![].concat(when.context).includes(this.context)) return false;
+        if (when.predicate && !when.predicate(ctx)) return false;
+        return true;
+    }
+
+    // --- Import Logic with AHK Escape Support ---
+
+    /**
+     * Helper to convert AHK escape sequences to JS characters.
+     * Preserves literal backslashes (\).
+     */
+    _parseAHKEscapes(str) {
+        if (!str) return "";
+        // Replace `n, `t, `r, `;, `,, `%, `` `
+        return str.replace(/`./g, (match) => {
+            const char = match[1];
+            switch (char) {
+                case 'n': return '\n';
+                case 'r': return '\r';
+                case 't': return '\t';
+                case 's': return ' ';
+                case 'b': return '\b';
+                case ';': return ';';
+                case ',': return ',';
+                case '%': return '%';
+                case '`': return '`';
+                case '"': return '"';
+                case "'": return "'";
+                default: return char; // For unknown, return the char literally
+            }
+        });
+    }
+
+    /**
+     * Imports hotstrings from an AHK script, the JSON produced by export(), or another
+     * text expander's export (see the formats below). AHK scripts may use #Hotstring
+     * directives, continuation section options and inline comments. Constructs that
+     * cannot be imported are reported in `warnings`.
+     * @param {string|Object} input - Text, or a parsed JSON (or Espanso YAML) object
+     * @param {Object} [options]
+     * @param {boolean} [options.stopOnError=false] - Throw on the first error
+     * @param {string} [options.format] - 'ahk', 'json', 'espanso', 'beeftext', 'textexpander',
+     *     'plist' (macOS text replacements), 'csv' or 'tsv'. Detected when omitted, except CSV and TSV
+     * @param {Object<string, function>} [options.functions] - Functions that `:X:trigger::Name(args)`
+     *     lines may call
+     * @param {string} [options.group] - Add the hotstrings to this group
+     * @returns {{added: number, errors: Array<{msg: string, item: *, line?: number}>,
+     *     warnings: Array<{msg: string, item: *, line?: number}>}}
+     */
+    import(input, options = { stopOnError: false }) {
+        const result = { added: 0, errors: [], warnings: [] };
+        const handleError = (msg, item, line) => {
+            if (options.stopOnError) throw new Error(msg);
+            result.errors.push(line ? { msg, item, line } : { msg, item });
+        };
+
+        const format = options.format || this._detectImportFormat(input);
+        if (format === 'json') {
+            this._importJSON(input, handleError, result, options.group);
+        } else if (format === 'ahk') {
+            if (typeof input === 'string') this._importAHK(input, handleError, result, options.functions || {}, options.group);
+        } else {
+            this._importFormat(format, input, handleError, result, options.group);
+        }
+        return result;
+    }
+
+    /**
+     * Guesses the format of import() input. Beeftext JSON has "combos", Espanso files
+     * have top-level "matches" and plists start with "<"; CSV and TSV are never guessed.
+     */
+    _detectImportFormat(input) {
+        if (input && typeof input === 'object') {
+            if (Array.isArray(input.combos)) return 'beeftext';
+            return Array.isArray(input.matches) ? 'espanso' : 'json';
+        }
+        const text = String(input).replace(/^\uFEFF/, '').trim();
+        if (text.startsWith('{')) return /"combos"\s*:/.test(text) ? 'beeftext' : 'json';
+        if (text.startsWith('<')) return 'plist';
+        return /^(?:matches|global_vars)[ \t]*:/m.test(text) ? 'espanso' : 'ahk';
+    }
+
+    _importAHK(script, handleError, result, functions, group) {
+        const warn = (line, msg, item) => result.warnings.push({ msg: `Line ${line}: ${msg}`, item, line });
+        this._readAHK(script, functions, warn, handleError, {
+            endChars: chars => this.setEndChars(chars),
+            noMouse: () => this.setNoMouse(true),
+            hotstring: ({ options, defaults, trigger, source, replacement, line, raw }) => {
+                try {
+                    const count = this.hotstrings.length;
+                    this.add(`:${defaults + options}:${trigger}`, replacement, group ? { group } : {});
+                    result.added++;
+                    if (this.hotstrings.length === count) warn(line, `Replaces an earlier hotstring for ${source}`, raw);
+                } catch (e) {
+                    handleError(`Line ${line}: ${e.message}`, raw, line);
+                }
+            }
+        });
+    }
+
+    /**
+     * Walks an AHK script and hands its parts to `sink`: `endChars(chars)` and `noMouse()`
+     * for #Hotstring directives, and `hotstring(entry)` for each hotstring, where `entry`
+     * is `{ options, defaults, trigger, source, replacement, line, raw }` (`source` is
+     * the trigger as written, before escapes). Nothing is added here.
+     */
+    _readAHK(script, functions, warn, handleError, sink) {
+        const lines = script.split(/\r?\n/);
+        // The trigger ends at the first :: that is not escaped (`:)
+        const hotstringLine = /^:([^:]*):((?:`.|[^`])*?)::(.*)$/;
+        let defaultOpts = "";
+        let inBlockComment = false;
+
+        for (let i = 0; i < lines.length; i++) {
+            const lineNo = i + 1;
+            const raw = lines[i].trim();
+
+            // /* ... */ block comments
+            if (inBlockComment) {
+                if (raw.endsWith('*/') || raw.startsWith('*/')) inBlockComment = false;
+                continue;
+            }
+            if (raw.startsWith('/*')) {
+                inBlockComment = !raw.endsWith('*/');
+                continue;
+            }
+
+            const line = this._stripAHKComment(raw);
+            if (!line) continue;
+
+            // #Hotstring directives
+            if (line.startsWith('#')) {
+                const directive = line.match(/^#Hotstring(?:[ \t]+(.*))?$/i);
+                if (!directive || !directive[1]) {
+                    warn(lineNo, `Unsupported directive ignored: ${line.split(/\s/)[0]}`, raw);
+                    continue;
+                }
+                const arg = directive[1];
+                const endChars = arg.match(/^EndChars(?:[ \t]+(.*))?$/i);
+                if (endChars) {
+                    sink.endChars(this._parseAHKEscapes(endChars[1] || ""));
+                } else if (/^NoMouse$/i.test(arg)) {
+                    sink.noMouse();
+                } else {
+                    // New default options apply to the hotstrings below, like AHK
+                    const options = arg.replace(/\s+/g, '');
+                    const { errors } = this.engine.parseOptions(options);
+                    if (errors.length) warn(lineNo, `${errors[0]}; directive ignored`, raw);
+                    else defaultOpts += options;
+                }
+                continue;
+            }
+
+            const match = line.match(hotstringLine);
+            if (!match) {
+                const what = /^[^\s,]+::/.test(line) ? 'Hotkeys are' : 'Only hotstrings and #Hotstring directives are';
+                warn(lineNo, `${what} not supported; line ignored`, raw);
+                continue;
+            }
+
+            const trigger = this._parseAHKEscapes(match[2]);
+            const isExecute = /X/i.test(defaultOpts + match[1]);
+            let repl = match[3].trim();
+            let replacement;
+
+            if (!repl) {
+                const next = (lines[i + 1] || "").trim();
+                if (next.startsWith('(') && !next.includes(')')) {
+                    // Continuation section
+                    const section = this._readContinuation(lines, i + 1, warn);
+                    if (!section) {
+                        handleError(`Line ${lineNo}: Unclosed multiline block`, raw, lineNo);
+                        break;
+                    }
+                    i = section.end;
+                    replacement = section.text;
+                } else if (next.startsWith('{')) {
+                    // v2 function body: skip to the matching brace
+                    i = this._skipAHKBlock(lines, i + 1);
+                    warn(lineNo, `Hotstring function bodies are not supported; ${match[2]} skipped`, raw);
+                    continue;
+                } else if (next && !hotstringLine.test(next) && !next.startsWith(';') && !next.startsWith('#')) {
+                    // v1 action: runs until "return"
+                    let j = i + 1;
+                    while (j < lines.length && !/^return\b/i.test(lines[j].trim())) j++;
+                    i = j;
+                    warn(lineNo, `Hotstring actions are not supported; ${match[2]} skipped`, raw);
+                    continue;
+                } else {
+                    replacement = "";
+                }
+            } else if (isExecute) {
+                replacement = this._resolveAHKCall(repl, functions);
+                if (!replacement) {
+                    warn(lineNo, `Cannot execute "${repl}"; pass the function in options.functions`, raw);
+                    continue;
+                }
+            } else {
+                replacement = this._parseAHKEscapes(repl);
+            }
+
+            sink.hotstring({
+                options: match[1],
+                defaults: defaultOpts,
+                trigger,
+                source: match[2],
+                replacement,
+                line: lineNo,
+                raw
+            });
+        }
+    }
+
+    /**
+     * Removes a trailing `;` comment. Like AHK, the semicolon must start the line
+     * or follow a space or tab, and `; is a literal semicolon.
+     */
+    _stripAHKComment(line) {
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '`') {
+                i++;
+            } else if (line[i] === ';' && (i === 0 || line[i - 1] === ' ' || line[i - 1] === '\t')) {
+                return line.slice(0, i).trimEnd();
+            }
+        }
+        return line;
+    }
+
+    /**
+     * Reads a ( ... ) continuation section whose opening line is lines[start].
+     * Supports the Join, LTrim, RTrim0, Comments, ` and % options.
+     * @returns {{text: string, end: number}|null} null if the section is never closed
+     */
+    _readContinuation(lines, start, warn) {
+        const opts = { join: '\n', ltrim: false, rtrim: true, comments: false, literal: false };
+        for (const opt of lines[start].trim().slice(1).split(/[ \t]+/).filter(Boolean)) {
+            const join = opt.match(/^Join(.*)$/i);
+            if (join) opts.join = this._parseAHKEscapes(join[1]);
+            else if (/^LTrim$/i.test(opt)) opts.ltrim = true;
+            else if (/^LTrim0$/i.test(opt)) opts.ltrim = false;
+            else if (/^RTrim$/i.test(opt)) opts.rtrim = true;
+            else if (/^RTrim0$/i.test(opt)) opts.rtrim = false;
+            else if (/^(?:Comments?|Com|C)$/i.test(opt)) opts.comments = true;
+            else if (opt === '`') opts.literal = true;
+            else if (opt === '%' || opt === ',') continue; // Already literal in hotstring text
+            else warn(start + 1, `Unknown continuation option ignored: ${opt}`, lines[start].trim());
+        }
+
+        const content = [];
+        for (let j = start + 1; j < lines.length; j++) {
+            let line = lines[j];
+            if (line.trim().startsWith(')')) {
+                if (line.trim().length > 1) warn(j + 1, 'Text after ")" ignored', line.trim());
+                return { text: content.join(opts.join), end: j };
+            }
+            if (opts.comments) {
+                if (line.trim().startsWith(';')) continue;
+                line = this._stripAHKComment(line);
+            }
+            if (opts.ltrim) line = line.replace(/^[ \t]+/, '');
+            if (opts.rtrim) line = line.replace(/[ \t]+$/, '');
+            content.push(opts.literal ? line : this._parseAHKEscapes(line));
+        }
+        return null;
+    }
+
+    /**
+     * Returns the index of the line closing the { ... } block opened at lines[start].
+     */
+    _skipAHKBlock(lines, start) {
+        let depth = 0;
+        for (let j = start; j < lines.length; j++) {
+            for (const ch of this._stripAHKComment(lines[j])) {
+                if (ch === '{') depth++;
+                else if (ch === '}') depth--;
+            }
+            if (depth <= 0) return j;
+        }
+        return lines.length - 1;
+    }
+
+    /**
+     * Resolves `Name(args)` from an X hotstring to a call into `functions`.
+     * Arguments may be quoted strings or numbers.
+     * @returns {function|null}
+     */
+    _resolveAHKCall(code, functions) {
+        const call = code.match(/^([A-Za-z_]\w*)\((.*)\)$/);
+        if (!call || !Object.prototype.hasOwnProperty.call(functions, call[1])) return null;
+        const fn = functions[call[1]];
+        if (typeof fn !== 'function') return null;
+
+        const args = [];
+        const argRe = /\s*(?:"((?:[^"`]|`.)*)"|'((?:[^'`]|`.)*)'|(-?\d+(?:\.\d+)?))\s*(,|$)/y;
+        let pos = 0;
+        const list = call[2].trim();
+        while (pos < list.length) {
+            argRe.lastIndex = pos;
+            const m = argRe.exec(list);
+            if (!m) return null;
+            if (m[3] !== undefined) args.push(Number(m[3]));
+            else args.push(this._parseAHKEscapes(m[1] !== undefined ? m[1] : m[2]));
+            pos = argRe.lastIndex;
+            if (!m[4] && pos < list.length) return null;
+        }
+        return () => fn(...args);
+    }
+
+    _importJSON(input, handleError, result, group) {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (e) {
+                handleError(`Invalid JSON: ${e.message}`, input);
+                return;
+            }
+        }
+        if (!data || !Array.isArray(data.hotstrings)) {
+            handleError('Invalid JSON: missing "hotstrings" array', data);
+            return;
+        }
+        if (data.version > HotstringManager.EXPORT_VERSION) {
+            handleError(`Unsupported export version: ${data.version}`, data);
+            return;
+        }
+
+        for (const [name, config] of Object.entries(data.groups || {})) {
+            try {
+                if (!this._groups.has(name)) this.defineGroup(name, config);
+            } catch (e) {
+                handleError(e.message, config);
+            }
+        }
+
+        data.hotstrings.forEach((entry, i) => {
+            try {
+                const common = {
+                    id: entry.id,
+                    enabled: entry.enabled,
+                    undo: entry.undo,
+                    when: entry.when,
+                    group: group || entry.group
+                };
+                const addEntry = (opts) => entry.type === 'regex'
+                    ? this.addRegex(new RegExp(entry.pattern, entry.flags || ""), entry.replacement, {
+                        ...entry.options,
+                        ...opts,
+                        priority: entry.priority
+                    })
+                    : this.add(entry.definition, entry.replacement, opts);
+                try {
+                    addEntry(common);
+                } catch (e) {
+                    // Ids from another table may be taken here already: keep the entry under a new id
+                    if (common.id === undefined || !this.hotstrings.some(hs => hs.id === common.id)) throw e;
+                    addEntry({ ...common, id: undefined });
+                }
+                result.added++;
+            } catch (e) {
+                handleError(`Entry ${i}: ${e.message}`, entry);
+            }
+        });
+    }
+
+    // --- Import: Other Text Expanders ---
+
+    /**
+     * Imports the formats of other text expanders. Each reader turns the input into
+     * entries `{ trigger, options, replacement, item, where, line? }` (`pattern` instead
+     * of `trigger` for regex hotstrings, `error` for entries that cannot be read) and
+     * reports what it leaves out through `warn`.
+     */
+    _importFormat(format, input, handleError, result, group) {
+        const warn = (where, msg, item, line) => {
+            const text = where ? `${where}: ${msg}` : msg;
+            result.warnings.push(line ? { msg: text, item, line } : { msg: text, item });
+        };
+        const readers = {
+            espanso: () => this._readEspanso(input, warn),
+            beeftext: () => this._readBeeftext(input, warn),
+            textexpander: () => this._readTextExpander(input, warn),
+            plist: () => this._readPlist(input, warn),
+            csv: () => this._readCSV(input, ','),
+            tsv: () => this._readCSV(input, '\t')
+        };
+        if (!readers[format]) throw new Error(`Unknown import format: ${format}`);
+
+        let entries;
+        try {
+            entries = readers[format]();
+        } catch (e) {
+            handleError(`Invalid ${format} input: ${e.message}`, input);
+            return;
+        }
+
+        for (const entry of entries) {
+            if (entry.error) {
+                handleError(`${entry.where}: ${entry.error}`, entry.item, entry.line);
+                continue;
+            }
+            const options = group ? { group } : {};
+            if (entry.enabled === false) options.enabled = false;
+            try {
+                const count = this.hotstrings.length;
+                if (entry.pattern) this.addRegex(entry.pattern, entry.replacement, options);
+                else this.add(`:${entry.options}:${entry.trigger}`, entry.replacement, options);
+                result.added++;
+                if (this.hotstrings.length === count) {
+                    warn(entry.where, `Replaces an earlier hotstring for ${entry.trigger || entry.pattern}`, entry.item, entry.line);
+                }
+            } catch (e) {
+                handleError(`${entry.where}: ${e.message}`, entry.item, entry.line);
+            }
+        }
+    }
+
+    /**
+     * Reads an Espanso match file (YAML text, or the object a YAML parser returns).
+     * `word`, `left_word` and `right_word` map to `*` and `?`, `propagate_case` to case
+     * conformity (otherwise C). Date, clipboard and echo variables and the $|$ caret
+     * marker are converted; regex matches become regex hotstrings.
+     */
+    _readEspanso(input, warn) {
+        const data = typeof input === 'string' ? this._parseYAML(input) : input;
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected "matches"');
+        if (data.imports) warn(null, 'Files listed in "imports" are not read', data.imports);
+
+        const globals = Array.isArray(data.global_vars) ? data.global_vars : [];
+        const entries = [];
+        (Array.isArray(data.matches) ? data.matches : []).forEach((match, i) => {
+            const where = `Entry ${i}`;
+            if (!match || typeof match !== 'object') {
+                entries.push({ error: 'Expected a match', item: match, where });
+                return;
+            }
+            const kind = ['form', 'image_path', 'html', 'markdown'].find(key => key in match);
+            if (kind) {
+                warn(where, `"${kind}" matches are not supported; skipped`, match);
+                return;
+            }
+            if (match.replace === undefined || match.replace === null) {
+                entries.push({ error: 'Missing "replace" text', item: match, where });
+                return;
+            }
+
+            let pattern = null;
+            if (match.regex !== undefined) {
+                try {
+                    // Python named groups: (?P<name>...) and (?P=name)
+                    pattern = new RegExp(String(match.regex).replace(/\(\?P</g, '(?<').replace(/\(\?P=(\w+)\)/g, '\\k<$1>'));
+                } catch (e) {
+                    entries.push({ error: e.message, item: match, where });
+                    return;
+                }
+            }
+
+            const vars = {};
+            for (const v of [...globals, ...(Array.isArray(match.vars) ? match.vars : [])]) {
+                if (v && v.name !== undefined) vars[v.name] = v;
+            }
+            const groups = pattern ? [...pattern.source.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map(m => m[1]) : [];
+
+            let replacement;
+            let caret = false;
+            try {
+                const parts = [];
+                const text = String(match.replace);
+                const re = /\{\{\s*([\w.-]+)\s*\}\}|\$\|\$/g;
+                let last = 0;
+                let m;
+                while ((m = re.exec(text))) {
+                    parts.push(text.slice(last, m.index));
+                    last = re.lastIndex;
+                    if (m[1] === undefined) parts.push({ caret: true });
+                    else if (groups.includes(m[1])) parts.push({ send: `$<${m[1]}>` });
+                    else parts.push(this._fromEspansoVar(vars[m[1]], m[1], !!pattern));
+                }
+                parts.push(text.slice(last));
+                replacement = this._composeImported(parts, msg => warn(where, msg, match), !!pattern);
+                caret = parts.some(part => part.caret);
+            } catch (e) {
+                warn(where, `${e.message}; skipped`, match);
+                return;
+            }
+
+            if (pattern) {
+                entries.push({ pattern, replacement, item: match, where });
+                return;
+            }
+            let options = (match.word ? '' : match.left_word ? '*' : match.right_word ? '?' : '*?') +
+                (match.propagate_case ? '' : 'C');
+            // The end char would be typed at the caret, inside the replacement
+            if (caret && !options.includes('*')) options += 'O';
+            const triggers = Array.isArray(match.triggers) ? match.triggers : [match.trigger];
+            for (const trigger of triggers) {
+                if (trigger === undefined || trigger === null) entries.push({ error: 'Missing "trigger"', item: match, where });
+                else entries.push({ trigger: String(trigger), options, replacement, item: match, where });
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Converts an Espanso variable to a replacement part.
+     * @throws {Error} If the variable is unknown or of an unsupported type
+     */
+    _fromEspansoVar(v, name, regex) {
+        if (!v) throw new Error(`Unknown variable "${name}"`);
+        const params = v.params || {};
+        if (v.type === 'echo') return params.echo === undefined || params.echo === null ? "" : String(params.echo);
+        // Variables are not expanded in regex replacements
+        if (regex || (v.type !== 'date' && v.type !== 'clipboard')) {
+            throw new Error(`Variables of type "${v.type}" are not supported${regex ? ' in regex matches' : ''}`);
+        }
+        if (v.type === 'clipboard') return { send: '%clipboard%' };
+
+        if (params.offset) throw new Error(`Date offsets are not supported ("${name}")`);
+        const format = this._fromStrftime(params.format === undefined ? '%Y-%m-%d' : String(params.format));
+        if (format === null) throw new Error(`Unsupported date format "${params.format}"`);
+        return { send: `%date:${format}%` };
+    }
+
+    /**
+     * Reads a Beeftext JSON export. Strict matching maps to `*`, loose matching to `*?`;
+     * combos are case-sensitive (C) unless set otherwise (C1, as Beeftext does not
+     * conform case). The #{clipboard}, #{date}, #{time}, #{dateTime} and #{cursor}
+     * variables are converted.
+     */
+    _readBeeftext(input, warn) {
+        const data = typeof input === 'string' ? JSON.parse(input) : input;
+        if (!data || !Array.isArray(data.combos)) throw new Error('missing "combos" array');
+
+        const entries = [];
+        data.combos.forEach((combo, i) => {
+            const where = `Entry ${i}`;
+            const snippet = combo && (combo.snippet !== undefined ? combo.snippet : combo.text);
+            if (!combo || typeof combo.keyword !== 'string' || typeof snippet !== 'string') {
+                entries.push({ error: 'Expected a "keyword" and a "snippet"', item: combo, where });
+                return;
+            }
+            let replacement;
+            try {
+                replacement = this._composeImported(this._fromBeeftext(snippet), msg => warn(where, msg, combo));
+            } catch (e) {
+                warn(where, `${e.message}; skipped`, combo);
+                return;
+            }
+            const loose = combo.matchingMode === 2 || combo.useLooseMatching === true;
+            const options = (loose ? '*?' : '*') + (combo.caseSensitivity === 2 ? 'C1' : 'C');
+            entries.push({ trigger: combo.keyword, options, replacement, item: combo, where, enabled: combo.enabled });
+        });
+        return entries;
+    }
+
+    /**
+     * Splits Beeftext snippet text into replacement parts.
+     * @throws {Error} On variables that have no equivalent here
+     */
+    _fromBeeftext(text) {
+        const parts = [];
+        const re = /#\{(\w+)(?::([^}]*))?\}/g;
+        let last = 0;
+        let m;
+        while ((m = re.exec(text))) {
+            parts.push(text.slice(last, m.index));
+            last = re.lastIndex;
+            const name = m[1].toLowerCase();
+            if (name === 'cursor') {
+                parts.push({ caret: true });
+            } else if (name === 'clipboard' || name === 'date' || name === 'time') {
+                parts.push({ send: `%${name}%` });
+            } else if (name === 'datetime') {
+                const format = m[2] ? this._fromQtDate(m[2]) : 'YYYY-MM-DD HH:mm';
+                if (format === null) throw new Error(`Unsupported date format "${m[2]}"`);
+                parts.push({ send: `%datetime:${format}%` });
+            } else {
+                throw new Error(`The #{${m[1]}} variable is not supported`);
+            }
+        }
+        parts.push(text.slice(last));
+        return parts;
+    }
+
+    /**
+     * Reads a TextExpander CSV export (abbreviation, content, label) or a .textexpander
+     * file. TextExpander expands immediately, also inside words (`*?`), and is
+     * case-sensitive unless the snippet ignores case (C1) or adapts to it.
+     */
+    _readTextExpander(input, warn) {
+        if (typeof input !== 'string' || input.trim().startsWith('<')) return this._readPlist(input, warn);
+        return this._parseCSV(input, ',')
+            .map(({ cells, line }) => this._readTextExpanderSnippet(
+                { abbreviation: cells[0].trim(), plainText: cells[1], label: cells[2] }, `Line ${line}`, line, warn
+            ))
+            .filter(Boolean);
+    }
+
+    _readTextExpanderSnippet(snippet, where, line, warn) {
+        if (!snippet || typeof snippet.abbreviation !== 'string' || typeof snippet.plainText !== 'string') {
+            return { error: 'Expected an abbreviation and snippet text', item: snippet, where, line };
+        }
+        if (snippet.snippetType > 1) {
+            warn(where, 'Script snippets are not supported; skipped', snippet, line);
+            return null;
+        }
+        let replacement;
+        try {
+            replacement = this._composeImported(this._fromTextExpander(snippet.plainText), msg => warn(where, msg, snippet, line));
+        } catch (e) {
+            warn(where, `${e.message}; skipped`, snippet, line);
+            return null;
+        }
+        const mode = snippet.abbreviationMode;
+        const options = '*?' + (mode === 1 ? 'C1' : mode === 2 ? '' : 'C');
+        return { trigger: snippet.abbreviation, options, replacement, item: snippet, where, line };
+    }
+
+    /**
+     * Splits TextExpander snippet text into replacement parts: %clipboard, the %| caret,
+     * %key:tab% and %key:enter%, and date macros such as %Y or %1m.
+     * @throws {Error} On fill-ins, nested snippets and date arithmetic
+     */
+    _fromTextExpander(text) {
+        const keys = { tab: '{Tab}', enter: '{Enter}', return: '{Enter}', esc: '{Esc}', escape: '{Esc}' };
+        const parts = [];
+        const re = /%(clipboard|\||key:(\w+)%|snippet:|fill|@|%|[-1]?[A-Za-z])/g;
+        let last = 0;
+        let m;
+        while ((m = re.exec(text))) {
+            const macro = m[1];
+            let part;
+            if (macro === 'clipboard') part = { send: '%clipboard%' };
+            else if (macro === '|') part = { caret: true };
+            else if (macro === '%') part = '%';
+            else if (m[2] !== undefined) {
+                if (!keys[m[2].toLowerCase()]) throw new Error(`The %key:${m[2]}% macro is not supported`);
+                part = { send: keys[m[2].toLowerCase()] };
+            } else if (macro === 'snippet:') throw new Error('Nested snippets are not supported');
+            else if (macro === 'fill') throw new Error('Fill-ins are not supported');
+            else if (macro === '@') throw new Error('Date arithmetic is not supported');
+            else {
+                const format = this._fromStrftime(`%${macro}`);
+                if (format === null) continue; // Not a macro: keep the text
+                part = { send: `%date:${format}%` };
+            }
+            parts.push(text.slice(last, m.index), part);
+            last = re.lastIndex;
+        }
+        parts.push(text.slice(last));
+        return parts;
+    }
+
+    /**
+     * Reads a property list: macOS text replacements (an array of `shortcut`/`phrase`
+     * dicts, or the older `replace`/`with` items) or a .textexpander file. macOS
+     * replacements fire on an end char, like hotstrings without options.
+     */
+    _readPlist(input, warn) {
+        const data = typeof input === 'string' ? this._parsePlist(input) : input;
+        if (data && Array.isArray(data.snippetsTE2)) {
+            return data.snippetsTE2
+                .map((snippet, i) => this._readTextExpanderSnippet(snippet, `Entry ${i}`, undefined, warn))
+                .filter(Boolean);
+        }
+        const items = Array.isArray(data) ? data : data && data.NSUserDictionaryReplacementItems;
+        if (!Array.isArray(items)) throw new Error('expected a list of text replacements');
+
+        return items.map((item, i) => {
+            const where = `Entry ${i}`;
+            const trigger = item && (item.shortcut !== undefined ? item.shortcut : item.replace);
+            const phrase = item && (item.phrase !== undefined ? item.phrase : item.with);
+            if (typeof trigger !== 'string' || typeof phrase !== 'string') {
+                return { error: 'Expected a "shortcut" and a "phrase"', item, where };
+            }
+            return { trigger, options: '', replacement: this._composeImported([phrase]), item, where, enabled: item.on !== 0 };
+        });
+    }
+
+    /**
+     * Reads two-column CSV or TSV: trigger, replacement. The hotstrings get no options;
+     * import into a group (see defineGroup()) to give them defaults.
+     */
+    _readCSV(input, delimiter) {
+        return this._parseCSV(input, delimiter).map(({ cells, line }) => {
+            const where = `Line ${line}`;
+            if (cells.length < 2) return { error: 'Expected a trigger and a replacement', item: cells, where, line };
+            return { trigger: cells[0].trim(), options: '', replacement: this._composeImported([cells[1]]), item: cells, where, line };
+        });
+    }
+
+    /**
+     * Joins replacement parts into replacement text: strings are literal text,
+     * `{ send }` is used as is (variables, keys, regex groups) and `{ caret: true }`
+     * marks where the caret ends up ($0 in snippet mode, otherwise {Left n}).
+     * @param {Array<string|Object>} parts
+     * @param {function(string)} [warn] - Called when the caret cannot be placed
+     * @param {boolean} [regex=false] - Build a regex replacement template
+     */
+    _composeImported(parts, warn, regex = false) {
+        const dollars = str => (regex ? str.replace(/\$/g, '$$$$') : str);
+        let text = "";
+        let after = null; // Characters typed after the caret
+        let placeable = true;
+        for (const part of parts) {
+            if (typeof part === 'string') {
+                text += dollars(this._escapeLiteral(part, !regex));
+                if (after !== null) after += [...part].length;
+            } else if (part.caret) {
+                if (after !== null) continue;
+                after = 0;
+                if (this.snippets) text += dollars('$0');
+            } else {
+                text += part.send;
+                if (after !== null) placeable = false;
+            }
+        }
+        if (after && !this.snippets) {
+            if (placeable) text += `{Left ${after}}`;
+            else warn('The caret position depends on a variable; the caret is left at the end');
+        }
+        return text;
+    }
+
+    /**
+     * Converts a strftime format (Espanso, TextExpander) to a %date% format.
+     * @returns {string|null} null if it uses a conversion with no equivalent
+     */
+    _fromStrftime(format) {
+        const items = [];
+        const re = /%([-1]?)([\s\S]?)|[^%]+/g;
+        let m;
+        while ((m = re.exec(format))) {
+            if (m[2] === undefined) {
+                items.push(m[0]);
+                continue;
+            }
+            const token = HotstringManager.STRFTIME[(m[1] ? '-' : '') + m[2]];
+            if (token === undefined) return null;
+            items.push({ token });
+        }
+        return this._joinDateFormat(items);
+    }
+
+    /**
+     * Converts a Qt date format (Beeftext) to a %date% format.
+     * @returns {string|null}
+     */
+    _fromQtDate(format) {
+        // h and hh are 12-hour only next to an AM/PM marker
+        const twelve = /a/i.test(format.replace(/'[^']*'/g, ''));
+        const tokens = {
+            yyyy: 'YYYY', yy: 'YY', MMMM: 'MMMM', MMM: 'MMM', MM: 'MM', M: 'M', dddd: 'DDDD', ddd: 'DDD',
+            dd: 'DD', d: 'D', HH: 'HH', H: 'H', hh: twelve ? 'hh' : 'HH', h: twelve ? 'h' : 'H',
+            mm: 'mm', m: 'm', ss: 'ss', s: 's', zzz: 'SSS', AP: 'A', A: 'A', ap: 'a', a: 'a'
+        };
+        const items = [];
+        const re = /''|'((?:[^']|'')*)'|yyyy|yy|MMMM|MMM|MM|M|dddd|ddd|dd|d|HH|H|hh|h|mm|m|ss|s|zzz|AP|ap|A|a|[^'yMdHhmsza]+|[\s\S]/gi;
+        let m;
+        while ((m = re.exec(format))) {
+            if (m[0] === "''") items.push("'");
+            else if (m[1] !== undefined) items.push(m[1].replace(/''/g, "'"));
+            else if (tokens[m[0]]) items.push({ token: tokens[m[0]] });
+            else items.push(m[0]);
+        }
+        return this._joinDateFormat(items);
+    }
+
+    // Literal text goes in [brackets] when it could be read as a token, and an empty []
+    // keeps tokens of the same letter apart (DD then DDD is not DDDDD)
+    _joinDateFormat(items) {
+        let format = "";
+        for (const item of items) {
+            if (typeof item !== 'string') format += (format.endsWith(item.token[0]) ? '[]' : '') + item.token;
+            else if (/[%\]]/.test(item)) return null;
+            else format += /[A-Za-z[]/.test(item) ? `[${item}]` : item;
+        }
+        return format;
+    }
+
+    /**
+     * Splits CSV (or TSV) text into rows. Quoted cells may hold the delimiter, line
+     * breaks and "" for a quote. Blank lines are skipped, and so is a header row whose
+     * first cell names the trigger column.
+     * @returns {Array<{cells: string[], line: number}>}
+     * @throws {Error} If a quote is never closed
+     */
+    _parseCSV(input, delimiter) {
+        if (typeof input !== 'string') throw new Error('expected text');
+        const text = input.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const rows = [];
+        let cells = [];
+        let cell = "";
+        let quoted = false;
+        let line = 1;
+        let start = 1;
+        const endRow = () => {
+            cells.push(cell);
+            if (cells.length > 1 || cells[0] !== "") rows.push({ cells, line: start });
+            cells = [];
+            cell = "";
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '\n') line++;
+            if (quoted) {
+                if (ch !== '"') cell += ch;
+                else if (text[i + 1] === '"') cell += text[i++];
+                else quoted = false;
+            } else if (ch === '"' && cell === "") {
+                quoted = true;
+            } else if (ch === delimiter) {
+                cells.push(cell);
+                cell = "";
+            } else if (ch === '\n') {
+                endRow();
+                start = line;
+            } else {
+                cell += ch;
+            }
+        }
+        if (quoted) throw new Error(`unclosed quote in the row at line ${start}`);
+        if (cell !== "" || cells.length) endRow();
+
+        if (rows.length && /^(?:trigger|abbreviation|keyword|shortcut)$/i.test(rows[0].cells[0].trim())) rows.shift();
+        return rows;
+    }
+
+    /**
+     * Reads an XML property list into plain values: dict, array, string, integer,
+     * real and true/false (date and data as strings).
+     * @throws {Error} If it is not a well-formed plist
+     */
+    _parsePlist(text) {
+        const tokens = [];
+        const re = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w.-]+)[^>]*?(\/?)>|([^<]+)/g;
+        let last = 0;
+        let m;
+        while ((m = re.exec(text))) {
+            if (m.index !== last) break;
+            last = re.lastIndex;
+            if (m[2]) tokens.push({ tag: m[2], close: !!m[1], empty: !!m[3] });
+            else if (m[4] !== undefined) tokens.push({ text: m[4] });
+        }
+        if (last !== text.length) throw new Error(`unexpected "<" at offset ${last}`);
+
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        const decode = str => str.replace(/&(?:#x([\da-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi, (all, hex, dec, name) =>
+            hex ? String.fromCodePoint(parseInt(hex, 16)) : dec ? String.fromCodePoint(Number(dec)) : entities[name.toLowerCase()]);
+        let pos = 0;
+        const skipSpace = () => {
+            while (pos < tokens.length && tokens[pos].text !== undefined && !tokens[pos].text.trim()) pos++;
+        };
+        const close = (tag) => {
+            const token = tokens[pos++];
+            if (!token || !token.close || token.tag !== tag) throw new Error(`expected </${tag}>`);
+        };
+        const content = (token) => {
+            if (token.empty) return "";
+            let str = "";
+            while (pos < tokens.length && tokens[pos].text !== undefined) str += tokens[pos++].text;
+            close(token.tag);
+            return decode(str);
+        };
+        const value = () => {
+            skipSpace();
+            const token = tokens[pos++];
+            if (!token || token.close || !token.tag) throw new Error('expected a value');
+            switch (token.tag) {
+                case 'true':
+                case 'false':
+                    if (!token.empty) close(token.tag);
+                    return token.tag === 'true';
+                case 'string':
+                case 'date':
+                case 'data':
+                    return content(token);
+                case 'integer':
+                case 'real':
+                    return Number(content(token));
+                case 'array': {
+                    const list = [];
+                    for (skipSpace(); !token.empty && !(tokens[pos] && tokens[pos].close); skipSpace()) list.push(value());
+                    if (!token.empty) close('array');
+                    return list;
+                }
+                case 'dict': {
+                    const dict = {};
+                    for (skipSpace(); !token.empty && !(tokens[pos] && tokens[pos].close); skipSpace()) {
+                        const key = tokens[pos++];
+                        if (!key || key.tag !== 'key') throw new Error('expected <key>');
+                        dict[content(key)] = value();
+                    }
+                    if (!token.empty) close('dict');
+                    return dict;
+                }
+                default:
+                    throw new Error(`unknown element <${token.tag}>`);
+            }
+        };
+
+        skipSpace();
+        const root = tokens[pos++];
+        if (!root || root.tag !== 'plist' || root.close) throw new Error('expected <plist>');
+        const data = value();
+        skipSpace();
+        close('plist');
+        return data;
+    }
+
+    /**
+     * Reads the YAML that Espanso match files use: block mappings and sequences,
+     * plain, quoted and block (| >) scalars, and one-line flow [lists] and {maps}.
+     * Anchors, aliases, tags and multi-document files are not supported.
+     * @throws {Error} Naming the line, on anything else
+     */
+    _parseYAML(text) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[\]{},:-][^#]*?|-[^\s#][^#]*?)[ \t]*:(?:[ \t]+|$)/;
+        const DASH = /^-(?:[ \t]|$)/;
+        let i = 0;
+        const fail = (msg, at = i) => {
+            throw new Error(`line ${at + 1}: ${msg}`);
+        };
+        const indentOf = line => line.match(/^ */)[0].length;
+        const skipBlank = () => {
+            while (i < lines.length && /^\s*(?:#.*)?$/.test(lines[i])) i++;
+        };
+
+        const escapes = { '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+            ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029' };
+        const unquote = (str, at) => {
+            if (str[0] === "'") return str.slice(1, -1).replace(/''/g, "'");
+            return str.slice(1, -1).replace(/\\(x[\da-fA-F]{2}|u[\da-fA-F]{4}|U[\da-fA-F]{8}|[\s\S])/g, (all, esc) => {
+                if (esc.length > 1) return String.fromCodePoint(parseInt(esc.slice(1), 16));
+                if (escapes[esc] === undefined) fail(`Unknown escape "\\${esc}"`, at);
+                return escapes[esc];
+            });
+        };
+        const plain = (str) => {
+            if (/^(?:~|null|Null|NULL)?$/.test(str)) return null;
+            if (/^(?:true|True|TRUE)$/.test(str)) return true;
+            if (/^(?:false|False|FALSE)$/.test(str)) return false;
+            if (/^-?(?:0|[1-9]\d*)(?:\.\d+)?$/.test(str)) return Number(str);
+            return str;
+        };
+
+        // [a, "b"] and {key: value} on a single line
+        const flow = (str, at) => {
+            let p = 0;
+            const space = () => {
+                while (str[p] === ' ' || str[p] === '\t') p++;
+            };
+            const item = () => {
+                space();
+                const open = str[p];
+                if (open === '[' || open === '{') {
+                    const end = open === '[' ? ']' : '}';
+                    const result = open === '[' ? [] : {};
+                    p++;
+                    space();
+                    if (str[p] === end) {
+                        p++;
+                        return result;
+                    }
+                    for (;;) {
+                        if (open === '[') {
+                            result.push(item());
+                        } else {
+                            const key = item();
+                            space();
+                            if (str[p] !== ':') fail('Expected ":" in a flow mapping', at);
+                            p++;
+                            result[key] = item();
+                        }
+                        space();
+                        if (str[p] === end) {
+                            p++;
+                            return result;
+                        }
+                        if (str[p] !== ',') fail(`Expected "," or "${end}" (flow collections must fit on one line)`, at);
+                        p++;
+                    }
+                }
+                const quoted = str.slice(p).match(/^(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*')/);
+                if (quoted) {
+                    p += quoted[0].length;
+                    return unquote(quoted[0], at);
+                }
+                const text = str.slice(p).match(/^(?:[^,[\]{}#:]|:(?![ \t,\]}]|$))*/)[0];
+                p += text.length;
+                return plain(text.trim());
+            };
+            return { value: item(), end: p };
+        };
+
+        // Lines indented deeper than `col`: | keeps line breaks, > folds them into spaces
+        const blockScalar = (style, chomp, col) => {
+            const content = [];
+            let indent = null;
+            while (i < lines.length) {
+                const line = lines[i];
+                if (line.trim()) {
+                    const c = indentOf(line);
+                    if (c <= col || (indent !== null && c < indent)) break;
+                    if (indent === null) indent = c;
+                    content.push(line.slice(indent));
+                } else {
+                    content.push("");
+                }
+                i++;
+            }
+            let trailing = 0;
+            while (content.length && content[content.length - 1] === "") {
+                content.pop();
+                trailing++;
+            }
+            if (!content.length) return "";
+
+            let text = content[0];
+            for (let k = 1; k < content.length; k++) {
+                const line = content[k];
+                const prev = content[k - 1];
+                if (style === '|') text += '\n' + line;
+                else if (line === "") text += '\n';
+                else if (prev === "") text += line;
+                else if (/^[ \t]/.test(line) || /^[ \t]/.test(prev)) text += '\n' + line;
+                else text += ' ' + line;
+            }
+            if (chomp === '-') return text;
+            return text + (chomp === '+' ? '\n'.repeat(trailing + 1) : '\n');
+        };
+
+        // The value after "key:" or "-" on line i, which it consumes
+        const scalar = (str, col) => {
+            const at = i++;
+            if (/^[&*!]/.test(str)) fail('Anchors, aliases and tags are not supported', at);
+            const block = str.match(/^([|>])([+-]?)[ \t]*(?:#.*)?$/);
+            if (block) return blockScalar(block[1], block[2], col);
+
+            let value;
+            let rest;
+            if (str[0] === '"' || str[0] === "'") {
+                const quoted = str.match(str[0] === '"' ? /^"(?:[^"\\]|\\.)*"/ : /^'(?:[^']|'')*'/);
+                if (!quoted) fail('Unclosed quote (quoted text must fit on one line)', at);
+                value = unquote(quoted[0], at);
+                rest = str.slice(quoted[0].length);
+            } else if (str[0] === '[' || str[0] === '{') {
+                const parsed = flow(str, at);
+                value = parsed.value;
+                rest = str.slice(parsed.end);
+            } else {
+                return plain(str.replace(/[ \t]+#.*$/, '').trim());
+            }
+            if (rest.trim() && !rest.trim().startsWith('#')) fail('Unexpected text after the value', at);
+            return value;
+        };
+
+        // A block nested under "key:" or "-" that ended its line, or null
+        const nested = (col, sequenceAtCol) => {
+            skipBlank();
+            if (i >= lines.length) return null;
+            const c = indentOf(lines[i]);
+            if (c > col || (sequenceAtCol && c === col && DASH.test(lines[i].slice(c)))) return node();
+            return null;
+        };
+
+        const node = () => {
+            skipBlank();
+            const col = indentOf(lines[i]);
+            return DASH.test(lines[i].slice(col)) ? sequence(col) : mapping(col);
+        };
+
+        const sequence = (col) => {
+            const list = [];
+            for (skipBlank(); i < lines.length && indentOf(lines[i]) === col && DASH.test(lines[i].slice(col)); skipBlank()) {
+                const after = lines[i].slice(col + 1);
+                const content = after.trimStart();
+                if (!content || content.startsWith('#')) {
+                    i++;
+                    list.push(nested(col, false));
+                    continue;
+                }
+                // "- key: value" and "- - item" start a block at the item's column
+                const inner = col + 1 + after.length - content.length;
+                if (KEY.test(content) || DASH.test(content)) {
+                    lines[i] = ' '.repeat(inner) + content;
+                    list.push(node());
+                } else {
+                    list.push(scalar(content, col));
+                }
+            }
+            return list;
+        };
+
+        const mapping = (col) => {
+            const map = {};
+            for (skipBlank(); i < lines.length && indentOf(lines[i]) === col && !DASH.test(lines[i].slice(col)); skipBlank()) {
+                const content = lines[i].slice(col);
+                const m = content.match(KEY);
+                if (!m) fail('Expected "key: value"');
+                const key = /^["']/.test(m[1]) ? unquote(m[1], i) : m[1];
+                if (Object.prototype.hasOwnProperty.call(map, key)) fail(`Duplicate key "${key}"`);
+                const rest = content.slice(m[0].length);
+                if (!rest || rest.startsWith('#')) {
+                    i++;
+                    map[key] = nested(col, true);
+                } else {
+                    map[key] = scalar(rest, col);
+                }
+            }
+            return map;
+        };
+
+        lines.forEach((line, n) => {
+            if (/^ *\t/.test(line) && line.trim()) fail('Tabs cannot be used for indentation', n);
+        });
+        skipBlank();
+        if (i < lines.length && /^---[ \t]*(?:#.*)?$/.test(lines[i])) i++;
+        skipBlank();
+        if (i >= lines.length) return null;
+        const data = node();
+        skipBlank();
+        if (i < lines.length) {
+            fail(/^(?:---|\.\.\.)/.test(lines[i]) ? 'Only one YAML document is supported' : 'Unexpected indentation');
+        }
+        return data;
+    }
+
+    // --- Export ---
+
+    /**
+     * Serializes the hotstring table.
+     * Hotstrings with function replacements cannot be serialized: they are listed as
+     * comments in AHK output and left out of JSON output.
+     * @param {Object} [options]
+     * @param {string} [options.format='ahk'] - 'ahk' or 'json'
+     * @returns {string}
+     */
+    export(options = {}) {
+        const format = options.format || 'ahk';
+        if (format === 'json') return JSON.stringify(this._exportJSON(), null, 2);
+        if (format === 'ahk') return this._exportAHK();
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    _exportJSON() {
+        const hotstrings = [];
+        for (const hs of this.hotstrings) {
+            if (typeof hs.replacement === 'function') continue;
+            const entry = hs.type === 'regex'
+                ? {
+                    type: 'regex',
+                    pattern: hs.trigger.source,
+                    flags: hs.trigger.flags,
+                    replacement: hs.replacement,
+                    priority: hs.priority,
+                    options: { ...hs.options }
+                }
+                : { type: 'text', definition: hs.originalDefinition, replacement: hs.replacement };
+            entry.id = hs.id;
+            if (hs.group) entry.group = hs.group;
+            if (!hs.enabled) entry.enabled = false;
+            const when = this._serializeCondition(hs.when);
+            if (when) entry.when = when;
+            if (hs.undo === false) entry.undo = false;
+            hotstrings.push(entry);
+        }
+
+        const groups = {};
+        for (const group of this._groups.values()) {
+            const config = { ...group.meta, options: group.options, enabled: group.enabled };
+            const when = this._serializeCondition(group.when);
+            if (when) config.when = when;
+            if (group.undo !== undefined) config.undo = group.undo;
+            groups[group.name] = config;
+        }
+        return { version: HotstringManager.EXPORT_VERSION, groups, hotstrings };
+    }
+
+    // Predicates cannot be serialized; declarative conditions can
+    _serializeCondition(when) {
+        if (!when || typeof when !== 'object') return null;
+        const { predicate, ...rest } = when;
+        return Object.keys(rest).length ? rest : null;
+    }
+
+    _exportAHK() {
+        const lines = [];
+        for (const hs of this.hotstrings) {
+            if (hs.type === 'regex') {
+                lines.push(`; Skipped regex hotstring ${hs.trigger} (not supported by AHK)`);
+                continue;
+            }
+            // `: keeps a colon in the trigger from ending it early on import
+            const head = `:${this._formatOptions(hs)}:${this._escapeAHK(hs.trigger).replace(/:/g, '`:')}::`;
+            if (typeof hs.replacement === 'function') {
+                lines.push(`; Skipped ${head} (function replacement)`);
+                continue;
+            }
+
+            const replacement = String(hs.replacement);
+            if (!replacement.includes('\n')) {
+                lines.push(head + this._escapeAHK(replacement));
+                continue;
+            }
+
+            // Multi-line replacements become continuation sections
+            lines.push(head, '(');
+            for (const line of replacement.split('\n')) {
+                lines.push(this._escapeAHK(line, true));
+            }
+            lines.push(')');
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Rebuilds an AHK option string from parsed hotstring flags.
+     */
+    _formatOptions(hs) {
+        let opts = "";
+        if (hs.fireImmediately) opts += '*';
+        if (hs.insideWord) opts += '?';
+        if (hs.noBackspace) opts += 'B0';
+        if (hs.noConformity) opts += 'C1';
+        else if (hs.caseSensitive) opts += 'C';
+        if (hs.omitEndChar) opts += 'O';
+        if (hs.rawMode) opts += 'R';
+        if (hs.execute) opts += 'X';
+        if (hs.resetRecognizer) opts += 'Z';
+        if (hs.suspendExempt) opts += 'S';
+        if (hs.sendMode === 'SE' || hs.sendMode === 'SP') opts += hs.sendMode;
+        if (hs.keyDelay > -1) opts += `K${hs.keyDelay}`;
+        if (hs.priority) opts += `P${hs.priority}`;
+        return opts;
+    }
+
+    /**
+     * Inverse of _parseAHKEscapes() for one line of text.
+     * @param {boolean} [inContinuation] - Line is inside a ( ... ) section
+     */
+    _escapeAHK(str, inContinuation = false) {
+        let out = str
+            .replace(/`/g, '``')
+            .replace(/\r/g, '`r')
+            .replace(/;/g, '`;');
+        if (!inContinuation) out = out.replace(/\t/g, '`t');
+
+        // Edge whitespace would be trimmed on import
+        out = out.replace(/^[ \t]+|[ \t]+$/g, ws => ws.replace(/ /g, '`s').replace(/\t/g, '`t'));
+
+        // A line starting with ")" would close the continuation section
+        if (inContinuation) out = out.replace(/^(\s*)\)/, '$1`)');
+        return out;
+    }
+
+    clear() {
+        this.hotstrings = [];
+        this._scheduleSave();
+    }
+
+    // --- Lint ---
+
+    /**
+     * Looks for mistakes that do not raise an error: duplicate triggers, hotstrings that
+     * never fire because another one always fires first, triggers containing end chars,
+     * and options that override each other or have no effect.
+     * @param {string} [script] - AHK script to check without importing it (default: the current table)
+     * @param {Object} [options]
+     * @param {Object<string, function>} [options.functions] - As for import()
+     * @returns {Array<{level: string, type: string, message: string, definition: string, line?: number, id?: *}>}
+     *     `level` is 'error' or 'warning', `type` one of 'invalid', 'unsupported', 'duplicate',
+     *     'shadowed', 'endchar' and 'option'. Script issues carry a `line`, table issues an `id`.
+     */
+    lint(script, options = {}) {
+        const issues = [];
+        const report = (level, type, message, entry) => {
+            const where = entry.line ? { line: entry.line } : { id: entry.hotstring.id };
+            issues.push({ level, type, message, definition: entry.definition, ...where });
+        };
+
+        // A scratch engine, so a script's #Hotstring EndChars leaves this manager alone
+        const engine = new HotstringEngine({ endChars: this.endChars });
+        const entries = script === undefined
+            ? this.hotstrings.map(hs => ({
+                hotstring: hs,
+                definition: hs.type === 'regex' ? String(hs.trigger) : hs.originalDefinition,
+                options: hs.type === 'regex' ? "" : hs.originalDefinition.match(/^:(.*?):/s)[1]
+            }))
+            : this._lintScript(String(script), engine, options.functions || {}, report);
+
+        // Like import(), a later hotstring with the same trigger replaces the earlier one
+        const table = new Map();
+        for (const entry of entries) {
+            const key = this._conflictKey(entry.hotstring);
+            if (table.has(key)) report('warning', 'duplicate', `Duplicate trigger, replaces ${this._lintName(table.get(key))}`, entry);
+            table.set(key, entry);
+        }
+        const byRecord = new Map([...table.values()].map(entry => [entry.hotstring, entry]));
+        engine.hotstrings = [...byRecord.keys()];
+        engine.sort();
+
+        for (const entry of byRecord.values()) {
+            const hs = entry.hotstring;
+            for (const warning of engine.parseOptions(entry.options).warnings) report('warning', 'option', warning, entry);
+            if (hs.type === 'regex') continue;
+
+            if (hs.keyDelay > -1 && hs.sendMode === 'SI') {
+                report('warning', 'option', `K${hs.keyDelay} has no effect without SE or SP`, entry);
+            }
+            if (hs.execute && typeof hs.replacement !== 'function') {
+                report('warning', 'option', 'X needs a function replacement; the text is sent instead', entry);
+            }
+            const endChars = [...new Set(Array.from(hs.trigger).filter(ch => engine.endChars.has(ch)))];
+            if (endChars.length) {
+                report('warning', 'endchar', `Trigger contains the end char${endChars.length > 1 ? 's' : ''} ${endChars.map(ch => JSON.stringify(ch)).join(', ')}`, entry);
+            }
+            const rival = this._lintRival(engine, hs);
+            if (rival) report('warning', 'shadowed', `Never fires: ${this._lintName(byRecord.get(rival))} fires first`, entry);
+        }
+        return issues.sort((a, b) => (a.line || 0) - (b.line || 0));
+    }
+
+    /**
+     * Reads an AHK script for lint() into `{ hotstring, definition, options, line }` entries.
+     */
+    _lintScript(script, engine, functions, report) {
+        const entries = [];
+        this._readAHK(script, functions,
+            (line, msg, item) => report('warning', 'unsupported', msg, { definition: item, line }),
+            (msg, item, line) => report('error', 'invalid', msg.replace(/^Line \d+: /, ''), { definition: item, line }),
+            {
+                endChars: chars => { engine.endChars = new Set(chars.split('')); },
+                noMouse: () => {},
+                hotstring: ({ options, defaults, trigger, source, replacement, line }) => {
+                    const entry = { definition: `:${options}:${source}`, options, line };
+                    try {
+                        entry.hotstring = engine.compile(`:${defaults + options}:${trigger}`, replacement);
+                    } catch (e) {
+                        report('error', 'invalid', e.message, entry);
+                        return;
+                    }
+                    entries.push(entry);
+                }
+            });
+        return entries;
+    }
+
+    _lintName(entry) {
+        return entry.line ? `${entry.definition} (line ${entry.line})` : entry.definition;
+    }
+
+    /**
+     * Types the trigger of `hs` into `engine` and returns the hotstring that fires
+     * instead, if one always does. Only rivals that fire wherever `hs` can count: regex
+     * hotstrings, and text ones limited by case, condition, group or suspension where
+     * `hs` is not, are left out.
+     */
+    _lintRival(engine, hs) {
+        if (hs.enabled === false) return null;
+        const atCaret = this.triggerMode === 'hotkey';
+        const endChar = engine.endChars.has(' ') ? ' ' : [...engine.endChars][0];
+        if (!atCaret && !hs.fireImmediately && endChar === undefined) return null;
+
+        let buffer = "";
+        let lastChar = "";
+        const accept = (rival) => {
+            if (rival === hs) return true;
+            if (rival.type !== 'text') return false;
+            if (rival.caseSensitive && !hs.caseSensitive) return false;
+            if (rival.when && rival.when !== hs.when) return false;
+            if (rival.group && rival.group !== hs.group) return false;
+            if (hs.suspendExempt && !rival.suspendExempt) return false;
+            // After a word character only ? hotstrings can fire, so a rival needing
+            // a word start does not block a ? hotstring from there
+            const end = atCaret || rival.fireImmediately ? buffer.length : buffer.length - lastChar.length;
+            return !(hs.insideWord && !rival.insideWord && end === rival.trigger.length);
+        };
+        const fires = () => {
+            const found = engine.match(buffer, lastChar, { accept, atCaret });
+            return found && found.hotstring;
+        };
+
+        if (atCaret) {
+            buffer = hs.trigger;
+            const found = fires();
+            return found === hs ? null : found;
+        }
+        // Anything firing while the trigger is typed resets the buffer
+        for (const char of hs.trigger) {
+            buffer += char;
+            lastChar = char;
+            const found = fires();
+            if (found) return found === hs ? null : found;
+        }
+        buffer += endChar;
+        lastChar = endChar;
+        const found = fires();
+        return found === hs ? null : found;
+    }
+
+    // --- Persistence ---
+
+    static _createStorage(storage) {
+        if (!storage) return null;
+        if (storage === 'local') return new LocalStorageAdapter();
+        if (storage === 'indexeddb') return new IndexedDBAdapter();
+        if (typeof storage === 'string') throw new Error(`Unknown storage: ${storage}`);
+        return storage;
+    }
+
+    /**
+     * Loads the saved table and subscribes to changes from other tabs.
+     * Hotstrings added before loading finishes are kept; saved ones with the same
+     * trigger replace them.
+     */
+    async _initStorage() {
+        if (!this.storage) return;
+        try {
+            const data = await this.storage.load();
+            if (data) this._applyStored(data, 'storage');
+        } catch (e) {
+            this._reportError(e);
+        }
+        this._storageLoaded = true;
+        if (this._storageDirty) this._scheduleSave();
+
+        if (typeof this.storage.subscribe === 'function') {
+            this._unsubscribeStorage = this.storage.subscribe(data => {
+                // Another tab saved: its table replaces ours (function hotstrings are not stored and stay).
+                // Ours is only swapped out once the data checks out, and comes back if reading fails.
+                const previous = this.hotstrings;
+                try {
+                    this._checkStored(data);
+                    this.hotstrings = previous.filter(hs => !this._isSerializable(hs));
+                    this._applyStored(data, 'sync');
+                } catch (e) {
+                    this.hotstrings = previous;
+                    this._reportError(e);
+                }
+            });
+        }
+    }
+
+    _checkStored(data) {
+        if (!data || !Array.isArray(data.hotstrings)) throw new Error('Stored hotstrings are missing their "hotstrings" array');
+        if (data.version > HotstringManager.EXPORT_VERSION) {
+            // Written by a newer version: leave it alone rather than overwrite it
+            this._storageBlocked = true;
+            throw new Error(`Stored hotstrings use schema version ${data.version}; this version reads up to ${HotstringManager.EXPORT_VERSION}`);
+        }
+    }
+
+    _applyStored(data, source) {
+        this._checkStored(data);
+        this._applyingStorage = true;
+        try {
+            for (const [name, config] of Object.entries(data.groups || {})) {
+                this.defineGroup(name, config);
+            }
+            const result = this.import(data, { format: 'json' });
+            for (const error of result.errors) this._reportError(new Error(error.msg));
+        } finally {
+            this._applyingStorage = false;
+        }
+        this._emit('load', { source });
+    }
+
+    _isSerializable(hs) {
+        return typeof hs.replacement !== 'function';
+    }
+
+    // Changes made in the same tick are saved together
+    _scheduleSave() {
+        if (!this.storage || this._applyingStorage) return;
+        this._storageDirty = true;
+        if (!this._storageLoaded || this._saveQueued) return;
+        this._saveQueued = true;
+        Promise.resolve().then(() => {
+            this._saveQueued = false;
+            this.save().catch(e => this._reportError(e));
+        });
+    }
+
+    /**
+     * Writes the hotstring table to storage now. Changes are saved automatically;
+     * call this to wait for a save to finish.
+     * Hotstrings with function replacements are not saved (see export()).
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.storage || this._storageBlocked) return;
+        this._storageDirty = false;
+        await this.storage.save(this._exportJSON());
+    }
+
+    /**
+     * Removes all event listeners. The manager can no longer be used afterwards.
+     */
+    destroy() {
+        for (const [type, handler] of Object.entries(this._listeners)) {
+            this.root.removeEventListener(type, handler);
+        }
+        this._listeners = {};
+        this._hideSuggestions();
+        if (this._suggestElement) this._suggestElement.remove();
+        this._suggestElement = null;
+        this._active = null;
+        if (this._unsubscribeStorage) this._unsubscribeStorage();
+        this._unsubscribeStorage = null;
+    }
+
+    // --- Internal Logic ---
+
+    _bindEvents() {
+        this._listeners = {
+            keydown: (e) => this._handleKeydown(e),
+            input: (e) => this._handleInput(e),
+
+            // IME composition: only the committed text reaches the buffer
+            compositionstart: () => this._handleCompositionStart(),
+            compositionend: (e) => this._handleCompositionEnd(e),
+
+            // Focus change always resets buffer (focusout bubbles, so it also works delegated)
+            focusout: () => this._resetBuffer("Focus Lost"),
+
+            // Mouse click (mousedown to catch caret move before click)
+            mousedown: () => {
+                if (this.resetOnMouse) {
+                    this._resetBuffer("Mouse Click");
+                }
+            }
+        };
+
+        for (const [type, handler] of Object.entries(this._listeners)) {
+            this._listeners[type] = (e) => {
+                if (this._activate(e.target)) handler(e);
+            };
+            this.root.addEventListener(type, this._listeners[type]);
+        }
+    }
+
+    /**
+     * Makes the element an event came from the active one.
+     * @returns {boolean} False if the event is not for a handled field
+     */
+    _activate(node) {
+        if (!this.delegate) return true;
+
+        const element = this._resolveField(node);
+        if (!element) return false;
+
+        let state = this._states.get(element);
+        if (!state) {
+            state = this._createState(element);
+            this._states.set(element, state);
+        }
+
+        // While locked, the locked field keeps ownership; other fields behave natively
+        if (this.isLocked && state !== this._active) return false;
+
+        this._active = state;
+        return true;
+    }
+
+    _resolveField(node) {
+        let el = node && node.nodeType === 1 ? node : node && node.parentElement;
+        if (!el) return null;
+
+        // Events inside a contenteditable belong to its editing host
+        if (el.isContentEditable) {
+            while (el.parentElement && el.parentElement.isContentEditable) el = el.parentElement;
+        }
+
+        if (!el.matches(this.include)) return null;
+        if (this.exclude && el.matches(this.exclude)) return null;
+        return el;
+    }
+
+    _createState(element, adapter = null) {
+        return {
+            element,
+            adapter: adapter || HotstringManager.createAdapter(element),
+            buffer: "",
+            muteBuffer: "",
+            snippet: null,
+            selection: null,
+            lastExpansion: null,
+            composing: false
+        };
+    }
+
+    _handleKeydown(e) {
+        if (this.isLocked) {
+            e.preventDefault();
+            if (e.key === 'Escape') {
+                if (this._lockCancel) this._lockCancel();
+                return;
+            }
+            // Queue typing keys for replay once the lock is released
+            if (e.ctrlKey || e.altKey || e.metaKey || this.lockBuffer.length >= this.maxLockBuffer) return;
+            if (Array.from(e.key).length === 1 || e.key === 'Enter' || e.key === 'Backspace' || e.key === 'Tab') {
+                this.lockBuffer.push({ key: e.key, shiftKey: e.shiftKey });
+            }
+            return;
+        }
+
+        // Keys typed into an IME (arrows pick candidates, Enter commits) belong to the IME.
+        // keyCode 229 also covers the commit keydown some browsers send after compositionend.
+        if (e.isComposing || this._active.composing || e.keyCode === 229) return;
+
+        // Backspace / Ctrl+Z right after an expansion reverts it. Any other key
+        // (except bare modifiers, pressed on the way to Ctrl+Z) ends that window.
+        if (this._active.lastExpansion && !["Shift", "Control", "Alt", "Meta"].includes(e.key)) {
+            const isBackspace = e.key === 'Backspace' && !e.ctrlKey && !e.altKey && !e.metaKey;
+            const isUndo = (e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'z';
+            if ((isBackspace || isUndo) && this._revertExpansion()) {
+                e.preventDefault();
+                return;
+            }
+            this._active.lastExpansion = null;
+        }
+
+        // Open suggestions take the arrow keys, Tab, Enter and Escape
+        if (this._suggest && this._handleSuggestionKey(e)) {
+            e.preventDefault();
+            return;
+        }
+
+        if (this._bindings.size > 0 && this._runBinding(e)) {
+            e.preventDefault();
+            return;
+        }
+
+        // 1. Modifiers: Reset Buffer (Ctrl+A, Ctrl+C etc)
+        // Note: Shift is not included as it's used for typing capital letters
+        if (e.ctrlKey || e.altKey || e.metaKey) {
+            this._resetBuffer(`Modifier: ${e.key}`);
+            return;
+        }
+
+        // Remember a selection about to be overwritten by typing (for %selection%)
+        if (e.key.length === 1) {
+            const sel = this.adapter.getSelection();
+            if (sel.start !== sel.end) {
+                this._active.selection = { text: this.adapter.getSelectedText(), at: this.buffer.length };
+            }
+        }
+
+        // 2. Navigation Keys: Reset Buffer (move caret breaks context)
+        const navKeys = [
+            "ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown",
+            "PageUp", "PageDown", "Home", "End", "Escape"
+        ];
+
+        if (navKeys.includes(e.key)) {
+            this._resetBuffer(`Nav: ${e.key}`);
+        }
+
+        if (e.key === 'Escape') this._endSnippet();
+
+        if (this.muteMode) {
+            this._handleMuteKeydown(e);
+            return;
+        }
+
+        // --- Custom Tab Handling ---
+        // In snippet mode Tab/Shift+Tab jump between fields.
+        // Otherwise: prevent focus change, insert \t, and process as input
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            this._typeTab(e.shiftKey);
+            return;
+        }
+
+        if (e.key === 'Backspace') {
+            this.buffer = this.buffer.slice(0, this._stepBack(this.buffer, this.buffer.length));
+            this._updateDebug();
+        }
+    }
+
+    // --- Key Bindings ---
+
+    _normalizeCombo(combo) {
+        const mods = { ctrl: false, alt: false, shift: false, meta: false };
+        // A trailing "+" is the key itself, as in "Ctrl++"
+        const parts = String(combo).split(/\+(?!$)/).map(part => part.trim().toLowerCase());
+        let key = parts.pop();
+        for (const part of parts) {
+            const mod = HotstringManager.MODIFIER_NAMES[part];
+            if (!mod) throw new Error(`Unknown modifier "${part}" in key combination "${combo}"`);
+            mods[mod] = true;
+        }
+        key = HotstringManager.KEY_NAMES[key] || key;
+        if (!key) throw new Error(`Missing key in key combination "${combo}"`);
+        return this._comboString(mods, key);
+    }
+
+    _comboString(mods, key) {
+        return ['ctrl', 'alt', 'shift', 'meta'].filter(mod => mods[mod]).concat(key).join('+');
+    }
+
+    /**
+     * Runs the action bound to the pressed combination.
+     * @returns {boolean} True if the key was handled
+     */
+    _runBinding(e) {
+        if (["Shift", "Control", "Alt", "Meta"].includes(e.key)) return false;
+        const mods = { ctrl: e.ctrlKey, alt: e.altKey, shift: e.shiftKey, meta: e.metaKey };
+
+        // Shift and Alt change e.key ("Shift+1" types "!"), so fall back to the physical key
+        let action = this._bindings.get(this._comboString(mods, e.key.toLowerCase()));
+        const physical = /^(?:Key([A-Z])|Digit(\d))$/.exec(e.code || "");
+        if (!action && physical) {
+            action = this._bindings.get(this._comboString(mods, (physical[1] || physical[2]).toLowerCase()));
+        }
+        if (!action) return false;
+
+        try {
+            const result = typeof action === 'string'
+                ? HotstringManager.KEY_ACTIONS[action](this)
+                : action({ manager: this, target: this.target, event: e });
+            return result !== false;
+        } catch (err) {
+            this._reportError(err);
+            return true;
+        }
+    }
+
+    _typeTab(shiftKey) {
+        if (this._active.snippet && this._moveSnippet(shiftKey ? -1 : 1)) return;
+
+        // Insert literal Tab
+        this.adapter.insertText('\t');
+
+        // Process input for hotstring triggers
+        this._processInputChar('\t');
+    }
+
+    _handleInput(e) {
+        if (this.isLocked || this.muteMode || this.isReplacing) return;
+
+        // Composition updates are handled on compositionend
+        if (e.isComposing || this._active.composing || HotstringManager.COMPOSITION_INPUT_TYPES.includes(e.inputType)) return;
+
+        // Check for paste, cut, undo, redo operations that significantly alter text/cursor
+        const resetTypes = ['insertFromPaste', 'deleteByCut', 'historyUndo', 'historyRedo'];
+        if (resetTypes.includes(e.inputType)) {
+            this._resetBuffer(`Action: ${e.inputType}`);
+            return;
+        }
+
+        let char = e.data;
+
+        // The buffer was shortened on keydown; refresh now that the text changed
+        if (e.inputType === 'deleteContentBackward') {
+            this._updateSuggestions();
+            return;
+        }
+
+        // Handle Enter Key (data is null, inputType is line break)
+        if (!char && (e.inputType === 'insertLineBreak' || e.inputType === 'insertParagraph')) {
+            char = '\n';
+        }
+
+        this._processInputChar(char);
+    }
+
+    _handleCompositionStart() {
+        this._active.composing = true;
+        this._hideSuggestions();
+    }
+
+    _handleCompositionEnd(e) {
+        this._active.composing = false;
+        if (this.isLocked || this.muteMode || this.isReplacing || !e.data) return;
+
+        // The whole commit is already in the field, so triggers are checked once, after its
+        // last character; an end char inside the commit does not fire anything before it.
+        const chars = Array.from(e.data);
+        const last = chars.pop();
+        this.buffer += chars.join('');
+        this._processInputChar(last);
+    }
+
+    // Shared Logic for Input/Keydown buffer updates
+    _processInputChar(char) {
+        if (char) {
+            this.buffer = this.engine.trimBuffer(this.buffer + char);
+            this._updateDebug();
+            this._checkTriggers(char);
+            this._updateSuggestions();
+        }
+    }
+
+    _checkTriggers(lastChar) {
+        // In hotkey mode only the expand key fires hotstrings (see expandAtCaret)
+        if (this.triggerMode === 'hotkey') return;
+        this._fire(this.engine.match(this.buffer, lastChar, { accept: this._acceptor() }));
+    }
+
+    /**
+     * The manager's checks on top of the engine's: group enabled and condition.
+     */
+    _acceptor() {
+        // Conditions shared through hotIf() are evaluated once per keystroke. Predicates
+        // are passed the hotstring, so they run again for each one.
+        const conditions = new Map();
+        const test = (hs) => {
+            try {
+                return this._testCondition(hs.when, hs);
+            } catch (e) {
+                this._reportError(e, hs);
+                return false;
+            }
+        };
+        return (hs) => {
+            if (hs.group && this._groups.has(hs.group) && !this._groups.get(hs.group).enabled) return false;
+            if (!hs.when) return true;
+            if (typeof hs.when === 'function' || hs.when.predicate) return test(hs);
+            if (!conditions.has(hs.when)) conditions.set(hs.when, test(hs));
+            return conditions.get(hs.when);
+        };
+    }
+
+    /**
+     * Applies a match from the engine.
+     * @returns {boolean} True if a hotstring fired
+     */
+    _fire(found) {
+        if (!found) return false;
+        const hs = found.hotstring;
+        if (hs.type === 'regex') {
+            this._executeRegexMatch(hs, found.match);
+        } else {
+            this._triggerAction(found).catch(e => this._reportError(e, hs));
+        }
+        return true;
+    }
+
+    // --- Suggestions ---
+
+    /**
+     * Expands the suggestion at `index`, replacing the partially typed trigger.
+     * For custom suggestion UIs (see the `suggest` event).
+     */
+    acceptSuggestion(index) {
+        if (!this._suggest || !this._suggest.items[index]) return;
+        const hs = this._suggest.items[index];
+        let trigger = this._suggest.prefix;
+        this._hideSuggestions();
+        if (hs.noBackspace) {
+            // B0 keeps the trigger, so type the rest of it rather than leave a fragment
+            this.adapter.insertText(hs.trigger.slice(trigger.length));
+            trigger = hs.trigger;
+        }
+        this._triggerAction({ hotstring: hs, trigger, endChar: "" }).catch(e => this._reportError(e, hs));
+    }
+
+    _handleSuggestionKey(e) {
+        if (e.ctrlKey || e.altKey || e.metaKey) return false;
+        const count = this._suggest.items.length;
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                this._suggest.selected = (this._suggest.selected + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+                this._showSuggestions();
+                return true;
+            case 'Tab':
+            case 'Enter':
+                if (e.shiftKey) return false;
+                this.acceptSuggestion(this._suggest.selected);
+                return true;
+            case 'Escape':
+                this._hideSuggestions();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    // The characters typed since the last end char
+    _partialTrigger() {
+        let i = this.buffer.length;
+        while (i > 0 && !this.endChars.has(this.buffer[i - 1])) i--;
+        return this.buffer.slice(i);
+    }
+
+    _updateSuggestions() {
+        if (!this.suggestions || !this._active || this.isLocked) return;
+        const prefix = this._partialTrigger();
+        const items = prefix.length >= this.suggestions.minChars ? this._findSuggestions(prefix) : [];
+        if (!items.length) {
+            this._hideSuggestions();
+            return;
+        }
+
+        // Keep the highlighted entry if it is still offered
+        const previous = this._suggest ? this._suggest.items[this._suggest.selected] : null;
+        const selected = Math.max(0, items.indexOf(previous));
+        this._suggest = { prefix, items, selected };
+        this._showSuggestions();
+    }
+
+    /**
+     * Text hotstrings that could fire here and whose trigger starts with `prefix`:
+     * exact matches first, then shorter triggers, then table order.
+     */
+    _findSuggestions(prefix) {
+        const folded = this.engine.foldCase(prefix);
+        const found = [];
+        for (const hs of this.hotstrings) {
+            if (hs.type !== 'text' || !hs.enabled || hs.trigger.length < prefix.length) continue;
+            if (hs.caseSensitive ? !hs.trigger.startsWith(prefix) : !this.engine.foldCase(hs.trigger).startsWith(folded)) continue;
+            if (hs.group && this._groups.has(hs.group) && !this._groups.get(hs.group).enabled) continue;
+            if (this.isSuspended && !hs.suspendExempt) continue;
+            if (hs.when) {
+                try {
+                    if (!this._testCondition(hs.when, hs)) continue;
+                } catch (e) {
+                    this._reportError(e, hs);
+                    continue;
+                }
+            }
+            found.push(hs);
+        }
+        return found
+            .map((hs, order) => ({ hs, order }))
+            .sort((a, b) => (a.hs.trigger.length - b.hs.trigger.length) || (a.order - b.order))
+            .slice(0, this.suggestions.maxItems)
+            .map(entry => entry.hs);
+    }
+
+    _showSuggestions() {
+        const { prefix, items, selected } = this._suggest;
+        this._emit('suggest', { prefix, items: items.map(hs => this._snapshot(hs)), selected });
+        if (this.suggestions.render) this._renderSuggestions();
+    }
+
+    _hideSuggestions() {
+        if (!this._suggest) return;
+        this._suggest = null;
+        if (this._suggestElement) this._suggestElement.hidden = true;
+        this._emit('suggest', { prefix: "", items: [], selected: -1 });
+    }
+
+    _renderSuggestions() {
+        const doc = this.target.ownerDocument;
+        let list = this._suggestElement;
+        if (!list) {
+            HotstringManager._injectSuggestionStyles(doc);
+            list = doc.createElement('ul');
+            list.className = 'hotstring-suggestions';
+            list.setAttribute('role', 'listbox');
+            // Keep focus (and the buffer) in the field: the root's mousedown reset must not see this click
+            list.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const item = e.target.closest('[data-index]');
+                if (item) this.acceptSuggestion(Number(item.dataset.index));
+            });
+            doc.body.appendChild(list);
+            this._suggestElement = list;
+        }
+
+        list.textContent = "";
+        this._suggest.items.forEach((hs, i) => {
+            const item = doc.createElement('li');
+            item.className = 'hotstring-suggestion';
+            item.dataset.index = i;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(i === this._suggest.selected));
+            const trigger = doc.createElement('span');
+            trigger.className = 'hotstring-suggestion-trigger';
+            trigger.textContent = hs.trigger;
+            const preview = doc.createElement('span');
+            preview.className = 'hotstring-suggestion-preview';
+            preview.textContent = this._previewText(hs);
+            item.append(trigger, preview);
+            list.appendChild(item);
+        });
+        list.hidden = false;
+
+        // Below the caret, or above it when there is no room
+        const caret = this.adapter.getCaretRect();
+        const view = doc.defaultView;
+        const height = list.offsetHeight;
+        const below = !view || caret.bottom + height <= view.innerHeight;
+        list.style.left = `${caret.left}px`;
+        list.style.top = `${below ? caret.bottom : caret.top - height}px`;
+    }
+
+    _previewText(hs) {
+        if (typeof hs.replacement === 'function') return '(function)';
+        const text = String(hs.replacement).replace(/\s+/g, ' ').trim();
+        return text.length > 40 ? text.slice(0, 39) + '…' : text;
+    }
+
+    static _injectSuggestionStyles(doc) {
+        if (doc.getElementById('hotstring-suggestion-styles')) return;
+        const style = doc.createElement('style');
+        style.id = 'hotstring-suggestion-styles';
+        style.textContent = HotstringManager.SUGGESTION_CSS;
+        doc.head.appendChild(style);
+    }
+
+    /**
+     * @param {Object} found - `{ hotstring, trigger, endChar }` as typed (see HotstringEngine.match())
+     */
+    async _triggerAction(found) {
+        const { hotstring: hs, trigger: matchedTriggerText, endChar: endCharTyped } = found;
+        const selection = this._takeSelection(matchedTriggerText.length + endCharTyped.length);
+        const buffer = this.buffer;
+
+        // Reset buffer to prevent overlapping triggers and "ghost" matching.
+        this._resetBuffer();
+
+        // 1. Calculate Backspaces
+        let bsCount = matchedTriggerText.length + endCharTyped.length;
+        if (hs.noBackspace) bsCount = 0;
+
+        // 2. Prepare Replacement (listeners may cancel or change it)
+        const before = this._emit('beforeexpand', {
+            hotstring: hs,
+            trigger: matchedTriggerText,
+            endChar: endCharTyped,
+            replacement: hs.replacement
+        });
+        if (before.defaultPrevented) return;
+        let textToInsert = before.replacement;
+        let rawMode = hs.rawMode;
+        let caret = null;
+        let deletion; // Set once the trigger is removed
+        let locked = false;
+
+        // Execute Mode: the function runs once the trigger is removed and may return text to insert
+        if (typeof textToInsert === 'function') {
+            const context = this._functionContext(hs, matchedTriggerText, endCharTyped, buffer, selection);
+            deletion = this._deleteTrigger(bsCount);
+            let result = textToInsert(context);
+            if (result && typeof result.then === 'function') {
+                // Hold keystrokes until the text arrives; replayed after the replacement
+                this._enableLock();
+                locked = true;
+                try {
+                    result = await result;
+                } catch (e) {
+                    this._disableLockAndReplay();
+                    throw e;
+                }
+            }
+
+            const output = this._functionOutput(result, rawMode);
+            if (!output) {
+                if (locked) this._disableLockAndReplay();
+                this._expanded({ hotstring: hs, trigger: matchedTriggerText, endChar: endCharTyped, replacement: textToInsert });
+                return;
+            }
+            textToInsert = output.text;
+            caret = output.caret;
+        } else {
+            // Dynamic Variables (before case conformity, so %date:MMMM% follows the typed case)
+            const expanded = this._expandVariables(textToInsert, { hotstring: hs, selection, trigger: matchedTriggerText });
+            if (expanded && typeof expanded.then === 'function') {
+                // Hold keystrokes until async values (e.g. clipboard) arrive; replayed after the replacement
+                this._enableLock();
+                locked = true;
+                try {
+                    textToInsert = await expanded;
+                } catch (e) {
+                    this._disableLockAndReplay();
+                    throw e;
+                }
+            } else {
+                textToInsert = expanded;
+            }
+        }
+
+        // Case Conformity (C, C1) and the end char (O)
+        textToInsert = this.engine.replacementText(found, textToInsert);
+        if (caret !== null) {
+            const endChar = !hs.fireImmediately && !hs.omitEndChar ? Array.from(endCharTyped).length : 0;
+            textToInsert = this._withCaret(textToInsert, rawMode, caret, endChar);
+            rawMode = false;
+        }
+
+        // 3. Send Mode Logic
+        const useDelay = (hs.sendMode === 'SE' || hs.sendMode === 'SP') && hs.keyDelay > -1;
+        const effectiveDelay = hs.keyDelay > -1 ? hs.keyDelay : 20;
+
+        if (useDelay) {
+             if (deletion === undefined) deletion = this._deleteTrigger(bsCount);
+             const completed = await this._typeText(textToInsert, effectiveDelay, rawMode, hs, deletion);
+             if (!completed) {
+                 this._emit('cancel', { hotstring: hs, trigger: matchedTriggerText });
+                 return;
+             }
+        } else {
+             this._performReplacementInstant(bsCount, textToInsert, rawMode, hs, deletion);
+        }
+
+        // _typeText releases the lock itself, and replayed keys may have locked again since
+        if (locked && !useDelay) this._disableLockAndReplay();
+        this._expanded({ hotstring: hs, trigger: matchedTriggerText, endChar: endCharTyped, replacement: textToInsert }, rawMode);
+    }
+
+    /**
+     * The argument replacement functions receive. `caret` is where the caret was when the
+     * hotstring fired, before the trigger was removed; `buffer` is the typed text that
+     * matched, before the buffer was reset.
+     */
+    _functionContext(hs, trigger, endChar, buffer, selection) {
+        return {
+            trigger,
+            endChar,
+            element: this.target,
+            buffer,
+            caret: this.adapter.getCaret(),
+            selection,
+            hotstring: hs,
+            manager: this
+        };
+    }
+
+    /**
+     * Reads what a replacement function returned: a string, or `{ text, caret, raw }` where
+     * `caret` is an offset into the text (negative: from its end) and `raw` sends the
+     * text literally. Other values insert nothing, unless `coerce` turns them into text
+     * (regex functions, which may return numbers).
+     * @returns {{text: string, caret: ?number}|null} null if there is nothing to insert
+     */
+    _functionOutput(value, rawMode, coerce = false) {
+        if (value && typeof value === 'object') {
+            if (typeof value.text !== 'string' || value.text === "") return null;
+            return {
+                text: value.raw && !rawMode ? this._escapeLiteral(value.text) : value.text,
+                caret: typeof value.caret === 'number' ? value.caret : null
+            };
+        }
+        if (value === undefined || value === null || value === "") return null;
+        return typeof value === 'string' || coerce ? { text: String(value), caret: null } : null;
+    }
+
+    /**
+     * Appends the {Left n} that leaves the caret `caret` characters into the inserted text
+     * (negative: from its end), not counting the `tail` characters after it (the end char).
+     * Raw text is escaped first, so the result is always Send syntax.
+     */
+    _withCaret(text, rawMode, caret, tail = 0) {
+        if (rawMode) text = this._escapeLiteral(text);
+        const total = this._insertedLength(text, false);
+        const length = total - tail;
+        const target = caret < 0 ? Math.max(0, length + caret) : Math.min(caret, length);
+        return total > target ? `${text}{Left ${total - target}}` : text;
+    }
+
+    // Text that is inserted as is: no Send syntax, and no snippet markers in snippet mode.
+    // `variables` also doubles % for text that goes through _expandVariables().
+    _escapeLiteral(text, variables = false) {
+        if (this.snippets) text = text.replace(/\$/g, '$$$$');
+        if (variables) text = text.replace(/%/g, '%%');
+        return this.engine.escapeSend(text);
+    }
+
+    /**
+     * Returns the text that was selected right before the trigger was typed.
+     * @param {number} matchLength - Typed trigger length incl. end char (0 for trigger())
+     */
+    _takeSelection(matchLength) {
+        if (!this._active) return "";
+        const captured = this._active.selection;
+        this._active.selection = null;
+
+        // Programmatic trigger: use whatever is selected now
+        if (matchLength === 0) return this.adapter.getSelectedText();
+
+        // Only valid if the trigger was typed directly over the selection
+        return captured && captured.at === this.buffer.length - matchLength ? captured.text : "";
+    }
+
+    /**
+     * @param {Object} [removed] - From _deleteTrigger(), if the trigger is already removed
+     */
+    _performReplacementInstant(backspaceCount, text, rawMode, hs = null, removed = undefined) {
+        this.isReplacing = true; // LOCK
+        try {
+            const adapter = this.adapter;
+
+            // Remove Trigger
+            const deletion = removed !== undefined ? removed : this._deleteTrigger(backspaceCount);
+            if (!deletion) return;
+
+            const cursor = {};
+            this._sendOps(this._toSendOps(text, rawMode), adapter, cursor);
+            if (cursor.fields) this._startSnippet(cursor.fields, adapter);
+            this._recordExpansion(hs, deletion);
+            adapter.notifyChange();
+        } finally {
+            this.isReplacing = false; // UNLOCK
+        }
+    }
+
+    /**
+     * Types text one step at a time while input is locked. Escape stops it early.
+     * @returns {Promise<boolean>} False if the typing was cancelled
+     */
+    async _typeText(text, delay, rawMode, hs = null, deletion = null) {
+        let cancelled = false;
+        this._enableLock(() => { cancelled = true; });
+        const adapter = this.adapter;
+        const cursor = {};
+
+        // Text is typed one character at a time, keys one press at a time
+        const steps = [];
+        for (const op of this._toSendOps(text, rawMode)) {
+            if (op.type === 'text') steps.push(...Array.from(op.text, char => ({ type: 'text', text: char })));
+            else if (op.type === 'key') steps.push(...Array.from({ length: op.count }, () => ({ ...op, count: 1 })));
+            else steps.push(op);
+        }
+
+        for (const step of steps) {
+            if (cancelled) break;
+            this._sendOps([step], adapter, cursor);
+            await new Promise(r => setTimeout(r, delay));
+        }
+
+        // Snippet fields refer to text that a cancelled run never typed
+        if (cursor.fields && !cancelled) this._startSnippet(cursor.fields, adapter);
+        if (deletion) this._recordExpansion(hs, deletion);
+        this._disableLockAndReplay();
+        return !cancelled;
+    }
+
+    // --- Backspace Undo ---
+
+    /**
+     * Deletes the typed trigger, remembering it so the expansion can be reverted.
+     * @returns {{original: string, start: number, length: number}|null} Null if there was not enough text
+     */
+    _deleteTrigger(count) {
+        const adapter = this.adapter;
+        const caret = adapter.getCaret();
+        const original = adapter.getText().slice(Math.max(0, caret - count), caret);
+        if (!adapter.deleteBackward(count)) return null;
+        return { original, start: adapter.getCaret(), length: adapter.getText().length };
+    }
+
+    _recordExpansion(hs, deletion) {
+        // A selected snippet field is meant to be typed over, not reverted
+        if (!this.backspaceUndo || !hs || hs.undo === false || this._active.snippet) return;
+
+        const adapter = this.adapter;
+        const text = adapter.getText();
+        const end = deletion.start + text.length - deletion.length;
+        this._active.lastExpansion = {
+            hotstring: hs,
+            start: deletion.start,
+            end,
+            inserted: text.slice(deletion.start, end),
+            original: deletion.original,
+            caret: adapter.getCaret()
+        };
+    }
+
+    /**
+     * Replaces the last expansion with the text that triggered it.
+     * @returns {boolean} False if the text or caret changed since the expansion
+     */
+    _revertExpansion() {
+        const record = this._active.lastExpansion;
+        this._active.lastExpansion = null;
+
+        const adapter = this.adapter;
+        const sel = adapter.getSelection();
+        if (sel.start !== sel.end || sel.end !== record.caret) return false;
+        if (adapter.getText().slice(record.start, record.end) !== record.inserted) return false;
+
+        this.isReplacing = true;
+        try {
+            adapter.replaceRange(record.start, record.end, record.original);
+            adapter.notifyChange();
+        } finally {
+            this.isReplacing = false;
+        }
+        this._resetBuffer("Expansion Undone");
+        this._countUndo(record.hotstring);
+        this._emit('undo', { hotstring: record.hotstring, original: record.original });
+        return true;
+    }
+
+    // --- Dynamic Variables ---
+
+    /**
+     * Expands %name% / %name:arg% variables; %% stands for a literal %. Unknown names
+     * are left untouched.
+     * @returns {string|Promise<string>} A Promise if any value is asynchronous
+     */
+    _expandVariables(text, context) {
+        if (typeof text !== 'string' || !text.includes('%')) return text;
+
+        const parts = [];
+        const re = /%%|%([A-Za-z_]\w*)(?::([^%]*))?%/g;
+        let last = 0;
+        let isAsync = false;
+        let m;
+        while ((m = re.exec(text))) {
+            if (m[1] === undefined) {
+                parts.push(text.slice(last, m.index), '%');
+                last = re.lastIndex;
+                continue;
+            }
+            const name = m[1].toLowerCase();
+            const resolver = this.variables.has(name) ? this.variables.get(name) : HotstringManager.VARIABLES[name];
+            if (resolver === undefined) {
+                // Not a variable: let the closing % start the next candidate
+                re.lastIndex = m.index + 1;
+                continue;
+            }
+
+            let value;
+            try {
+                value = typeof resolver === 'function' ? resolver.call(this, m[2], context) : resolver;
+            } catch (e) {
+                console.warn(`Hotstring variable %${m[1]}% failed:`, e);
+                value = "";
+            }
+            if (value && typeof value.then === 'function') isAsync = true;
+
+            parts.push(text.slice(last, m.index), value);
+            last = re.lastIndex;
+        }
+        if (parts.length === 0) return text;
+        parts.push(text.slice(last));
+
+        // Values are inserted literally: escape Send syntax and snippet markers
+        const hs = context.hotstring;
+        const join = (values) => values.map((value, i) => {
+            if (i % 2 === 0) return value;
+            const str = value === undefined || value === null ? "" : String(value);
+            return hs && hs.rawMode ? str : this._escapeLiteral(str);
+        }).join('');
+
+        return isAsync ? Promise.all(parts).then(join) : join(parts);
+    }
+
+    /**
+     * Formats a date with YYYY, YY, MMMM, MMM, MM, M, DDDD, DDD, DD, D, HH, H, hh, h,
+     * mm, m, ss, s, SSS and A/a tokens. Text in [brackets] is kept literally.
+     */
+    _formatDate(date, format) {
+        const pad = (n, len = 2) => String(n).padStart(len, '0');
+        const name = (opts) => date.toLocaleString(this.locale, opts);
+        const hours12 = date.getHours() % 12 || 12;
+
+        return format.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DDDD|DDD|DD|D|HH|H|hh|h|mm|m|ss|s|SSS|A|a/g, (token, literal) => {
+            if (literal !== undefined) return literal;
+            switch (token) {
+                case 'YYYY': return String(date.getFullYear());
+                case 'YY': return pad(date.getFullYear() % 100);
+                case 'MMMM': return name({ month: 'long' });
+                case 'MMM': return name({ month: 'short' });
+                case 'MM': return pad(date.getMonth() + 1);
+                case 'M': return String(date.getMonth() + 1);
+                case 'DDDD': return name({ weekday: 'long' });
+                case 'DDD': return name({ weekday: 'short' });
+                case 'DD': return pad(date.getDate());
+                case 'D': return String(date.getDate());
+                case 'HH': return pad(date.getHours());
+                case 'H': return String(date.getHours());
+                case 'hh': return pad(hours12);
+                case 'h': return String(hours12);
+                case 'mm': return pad(date.getMinutes());
+                case 'm': return String(date.getMinutes());
+                case 'ss': return pad(date.getSeconds());
+                case 's': return String(date.getSeconds());
+                case 'SSS': return pad(date.getMilliseconds(), 3);
+                case 'A': return date.getHours() < 12 ? 'AM' : 'PM';
+                case 'a': return date.getHours() < 12 ? 'am' : 'pm';
+            }
+            return token;
+        });
+    }
+
+    // --- Send Syntax ---
+
+    _toSendOps(text, rawMode) {
+        text = String(text);
+        if (rawMode) return [{ type: 'text', text }];
+        const ops = this.engine.parseSend(text);
+        return this.snippets ? this._extractSnippetFields(ops) : ops;
+    }
+
+    /**
+     * Applies Send operations to an editor.
+     * @param {Array<Object>} ops - From HotstringEngine.parseSend()
+     * @param {EditorAdapter} adapter
+     * @param {Object} [cursor] - Tracks the selection anchor across calls (for Shift+nav)
+     */
+    _sendOps(ops, adapter, cursor = {}) {
+        for (const op of ops) {
+            if (op.type === 'text' || op.type === 'field') {
+                const sel = adapter.getSelection();
+                const text = op.type === 'text' ? op.text : op.placeholder;
+                adapter.insertText(text);
+                this._shiftFields(cursor, sel.start, text.length - (sel.end - sel.start));
+
+                if (op.type === 'field') {
+                    cursor.fields = cursor.fields || [];
+                    cursor.fields.push({ index: op.index, start: sel.start, end: sel.start + text.length });
+                }
+                cursor.anchor = cursor.focus = undefined;
+            } else {
+                const change = this._sendKey(op, adapter, cursor);
+                if (change) this._shiftFields(cursor, change.at, change.delta);
+            }
+        }
+    }
+
+    _sendKey(op, adapter, cursor) {
+        const text = adapter.getText();
+        const sel = adapter.getSelection();
+        const { key, count, shift, ctrl } = op;
+
+        // Keep the selection direction from a previous Shift+nav if it still applies
+        let anchor = sel.start, focus = sel.end;
+        if (cursor.focus !== undefined &&
+            Math.min(cursor.anchor, cursor.focus) === sel.start && Math.max(cursor.anchor, cursor.focus) === sel.end) {
+            anchor = cursor.anchor;
+            focus = cursor.focus;
+        }
+
+        if (key === 'SelectAll') {
+            anchor = 0;
+            focus = text.length;
+        } else if (key === 'BS' || key === 'Del') {
+            let start = sel.start, end = sel.end;
+            // A selection is deleted by the first press
+            for (let n = start === end ? 0 : 1; n < count; n++) {
+                if (key === 'BS') start = ctrl ? this._wordStart(text, start) : this._stepBack(text, start);
+                else end = ctrl ? this._wordEnd(text, end) : this._stepForward(text, end);
+            }
+            adapter.replaceRange(start, end, "");
+            cursor.anchor = cursor.focus = undefined;
+            return { at: start, delta: start - end };
+        } else {
+            for (let n = 0; n < count; n++) {
+                if (!shift && anchor !== focus && (key === 'Left' || key === 'Right')) {
+                    // Collapsing a selection counts as the first press
+                    focus = key === 'Left' ? Math.min(anchor, focus) : Math.max(anchor, focus);
+                } else {
+                    focus = this._moveFocus(text, focus, key, ctrl);
+                }
+                if (!shift) anchor = focus;
+            }
+        }
+
+        adapter.setSelection(Math.min(anchor, focus), Math.max(anchor, focus));
+        cursor.anchor = anchor;
+        cursor.focus = focus;
+    }
+
+    /**
+     * Keeps recorded snippet fields in place when text changes at `at`.
+     */
+    _shiftFields(cursor, at, delta) {
+        if (!cursor.fields || !delta) return;
+        for (const field of cursor.fields) {
+            // An empty field at the change point stays put: text typed right after it follows it
+            if (field.start > at || (field.start === at && field.end > field.start)) {
+                field.start += delta;
+                field.end += delta;
+            } else if (field.end > at) {
+                field.end += delta;
+            }
+        }
+    }
+
+    _moveFocus(text, pos, key, ctrl) {
+        switch (key) {
+            case 'Left': return ctrl ? this._wordStart(text, pos) : this._stepBack(text, pos);
+            case 'Right': return ctrl ? this._wordEnd(text, pos) : this._stepForward(text, pos);
+            case 'Home': return ctrl ? 0 : text.lastIndexOf('\n', pos - 1) + 1;
+            case 'End': {
+                if (ctrl) return text.length;
+                const eol = text.indexOf('\n', pos);
+                return eol === -1 ? text.length : eol;
+            }
+            case 'Up':
+            case 'Down': {
+                const lineStart = text.lastIndexOf('\n', pos - 1) + 1;
+                const column = pos - lineStart;
+                if (key === 'Up') {
+                    if (lineStart === 0) return 0;
+                    const prevStart = text.lastIndexOf('\n', lineStart - 2) + 1;
+                    return Math.min(prevStart + column, lineStart - 1);
+                }
+                const eol = text.indexOf('\n', pos);
+                if (eol === -1) return text.length;
+                const nextEnd = text.indexOf('\n', eol + 1);
+                return Math.min(eol + 1 + column, nextEnd === -1 ? text.length : nextEnd);
+            }
+        }
+        return pos;
+    }
+
+    // Surrogate-pair aware single character steps
+    _stepBack(text, pos) {
+        if (pos <= 0) return 0;
+        const code = text.charCodeAt(pos - 1);
+        return pos >= 2 && code >= 0xDC00 && code <= 0xDFFF ? pos - 2 : pos - 1;
+    }
+
+    _stepForward(text, pos) {
+        if (pos >= text.length) return text.length;
+        const code = text.charCodeAt(pos);
+        return code >= 0xD800 && code <= 0xDBFF ? Math.min(pos + 2, text.length) : pos + 1;
+    }
+
+    _wordStart(text, pos) {
+        const wordBefore = () => this.engine.isWordChar(text.slice(this._stepBack(text, pos), pos));
+        while (pos > 0 && !wordBefore()) pos = this._stepBack(text, pos);
+        while (pos > 0 && wordBefore()) pos = this._stepBack(text, pos);
+        return pos;
+    }
+
+    _wordEnd(text, pos) {
+        const wordAfter = () => this.engine.isWordChar(text.slice(pos, this._stepForward(text, pos)));
+        while (pos < text.length && wordAfter()) pos = this._stepForward(text, pos);
+        while (pos < text.length && !wordAfter()) pos = this._stepForward(text, pos);
+        return pos;
+    }
+
+    // --- Snippets ---
+
+    /**
+     * Splits $1, ${1:default}, $0 markers out of text ops into field ops.
+     * `$$` is a literal dollar sign.
+     */
+    _extractSnippetFields(ops) {
+        const result = [];
+        for (const op of ops) {
+            if (op.type !== 'text') {
+                result.push(op);
+                continue;
+            }
+            const re = /\$\$|\$(\d+)|\$\{(\d+)(?::([^}]*))?\}/g;
+            let last = 0;
+            let m;
+            while ((m = re.exec(op.text))) {
+                const before = op.text.slice(last, m.index) + (m[0] === '$$' ? '$' : '');
+                if (before) result.push({ type: 'text', text: before });
+                if (m[0] !== '$$') {
+                    result.push({ type: 'field', index: parseInt(m[1] || m[2], 10), placeholder: m[3] || "" });
+                }
+                last = re.lastIndex;
+            }
+            if (last < op.text.length) result.push({ type: 'text', text: op.text.slice(last) });
+        }
+        return result;
+    }
+
+    /**
+     * Selects the first field and enters snippet mode.
+     * Tab stops run $1, $2, ... and finish on $0 (or where the expansion ended).
+     */
+    _startSnippet(fields, adapter) {
+        const stops = [];
+        const seen = new Set();
+        const numbered = fields.filter(f => f.index > 0).sort((a, b) => a.index - b.index);
+        for (const field of numbered) {
+            // Only the first occurrence of an index is a tab stop
+            if (seen.has(field.index)) continue;
+            seen.add(field.index);
+            stops.push(field);
+        }
+
+        const caret = adapter.getCaret();
+        const final = fields.find(f => f.index === 0) || { index: 0, start: caret, end: caret };
+
+        if (stops.length === 0) {
+            adapter.setSelection(final.start, final.end);
+            return;
+        }
+
+        stops.push(final);
+        this._active.snippet = { stops, current: 0, textLength: adapter.getText().length };
+        adapter.setSelection(stops[0].start, stops[0].end);
+    }
+
+    /**
+     * Moves to the next (step 1) or previous (step -1) tab stop.
+     * @returns {boolean} False if snippet mode ended because the caret left the field
+     */
+    _moveSnippet(step) {
+        const session = this._active.snippet;
+        const adapter = this.adapter;
+        const current = session.stops[session.current];
+
+        // Text typed into the current field shifts all following stops
+        const length = adapter.getText().length;
+        const delta = length - session.textLength;
+        const sel = adapter.getSelection();
+        if (sel.start < current.start || sel.end > current.end + delta) {
+            this._endSnippet();
+            return false;
+        }
+        if (delta) {
+            for (const stop of session.stops) {
+                if (stop !== current && stop.start >= current.end) {
+                    stop.start += delta;
+                    stop.end += delta;
+                }
+            }
+            current.end += delta;
+            session.textLength = length;
+        }
+
+        session.current = Math.max(0, session.current + step);
+        const target = session.stops[session.current];
+        adapter.setSelection(target.start, target.end);
+
+        if (session.current === session.stops.length - 1) this._endSnippet();
+        return true;
+    }
+
+    _endSnippet() {
+        if (this._active) this._active.snippet = null;
+    }
+
+    async _executeRegexMatch(hs, match) {
+        const selection = this._takeSelection(match[0].length);
+        const buffer = this.buffer;
+        this._resetBuffer();
+
+        // String actions are templates: $1, $<name>, $& refer to the match
+        if (typeof hs.replacement === 'string') {
+            const result = match[0].replace(hs.trigger, hs.replacement);
+            const before = this._emit('beforeexpand', { hotstring: hs, trigger: match[0], endChar: "", match, replacement: result });
+            if (before.defaultPrevented) return;
+            this._performReplacementInstant(match[0].length, String(before.replacement), false, hs);
+            this._expanded({ hotstring: hs, trigger: match[0], endChar: "", match, replacement: String(before.replacement) });
+            return;
+        }
+
+         if (typeof hs.replacement === 'function') {
+            const func = hs.replacement;
+            const backspaceCount = match[0].length;
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            // The context comes last; its signal lets async actions abort their work on timeout
+            const context = {
+                ...this._functionContext(hs, match[0], "", buffer, selection),
+                match,
+                signal: controller ? controller.signal : null
+            };
+            let result;
+            try {
+                result = func(...match, context);
+            } catch (e) {
+                this._reportError(e, hs);
+                return;
+            }
+
+            if (result && typeof result.then === 'function') {
+                await this._awaitRegexResult(hs, match, result, controller);
+                return;
+            }
+            const text = this._regexOutput(result);
+            if (text === null) return;
+
+            const before = this._emit('beforeexpand', { hotstring: hs, trigger: match[0], endChar: "", match, replacement: text });
+            if (before.defaultPrevented) return;
+
+            this._performReplacementInstant(backspaceCount, String(before.replacement), false, hs);
+            this._expanded({ hotstring: hs, trigger: match[0], endChar: "", match, replacement: String(before.replacement) });
+        }
+    }
+
+    // Text to insert for what a regex function returned (see _functionOutput()), or null
+    _regexOutput(value) {
+        const output = this._functionOutput(value, false, true);
+        if (!output) return null;
+        return output.caret === null ? output.text : this._withCaret(output.text, false, output.caret);
+    }
+
+    /**
+     * Waits for an async regex action, then replaces the trigger (or placeholder) with its result.
+     * Input is held while `blockInput` is set; the timeout aborts the action.
+     */
+    async _awaitRegexResult(hs, match, promise, controller) {
+        const { blockInput, timeout, placeholder } = hs.options;
+        const state = this._active;
+        const adapter = this.adapter;
+
+        // Text standing in for the result while pending: the placeholder, or the trigger itself
+        const caret = adapter.getCaret();
+        const start = caret - match[0].length;
+        let pending = match[0];
+        if (placeholder) {
+            this.isReplacing = true;
+            try {
+                adapter.replaceRange(start, caret, placeholder);
+                adapter.notifyChange();
+            } finally {
+                this.isReplacing = false;
+            }
+            pending = placeholder;
+        }
+
+        let value, error = null, timer, cancel = null;
+        if (blockInput) {
+            // Escape gives up on the result, like a timeout without the error
+            this._enableLock(() => {
+                if (controller) controller.abort();
+                cancel();
+            });
+        }
+
+        try {
+            value = await Promise.race([
+                promise,
+                new Promise((resolve, reject) => {
+                    cancel = () => resolve(null);
+                    timer = setTimeout(() => {
+                        if (controller) controller.abort();
+                        reject(new Error(`Regex hotstring timed out after ${timeout}ms`));
+                    }, timeout);
+                })
+            ]);
+        } catch (e) {
+            error = e;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        // Apply to the field that matched, even if another one became active meanwhile
+        const previous = this._active;
+        this._active = state;
+        try {
+            let replacement = error ? null : this._regexOutput(value);
+            if (replacement !== null) {
+                const before = this._emit('beforeexpand', { hotstring: hs, trigger: match[0], endChar: "", match, replacement });
+                replacement = before.defaultPrevented ? null : String(before.replacement);
+            }
+
+            // On failure or cancel, a placeholder gives way to the original trigger text
+            if (replacement === null && !placeholder) return;
+            const text = replacement === null ? this.engine.escapeSend(match[0]) : replacement;
+
+            const pos = this._locatePending(adapter, start, pending);
+            if (pos === -1) {
+                error = error || new Error(`Could not locate "${pending}" to replace`);
+                return;
+            }
+
+            // Keep the caret where the user left it if they typed elsewhere meanwhile
+            const sel = adapter.getSelection();
+            const pendingEnd = pos + pending.length;
+            const length = adapter.getText().length;
+            adapter.setSelection(pendingEnd);
+            this._performReplacementInstant(pending.length, text, false, replacement === null ? null : hs);
+
+            if (sel.start !== pendingEnd || sel.end !== pendingEnd) {
+                const delta = adapter.getText().length - length;
+                const shift = (offset) => offset >= pendingEnd ? offset + delta : offset;
+                adapter.setSelection(shift(sel.start), shift(sel.end));
+            }
+
+            if (replacement !== null) {
+                this._expanded({ hotstring: hs, trigger: match[0], endChar: "", match, replacement });
+            }
+        } finally {
+            if (error) this._reportError(error, hs);
+            if (blockInput && this.isLocked) this._disableLockAndReplay();
+            this._active = previous;
+        }
+    }
+
+    /**
+     * Finds text expected at `start`, or its closest occurrence if edits shifted it.
+     * @returns {number} Offset, or -1 if not found
+     */
+    _locatePending(adapter, start, pending) {
+        const text = adapter.getText();
+        if (text.substr(start, pending.length) === pending) return start;
+
+        let best = -1;
+        for (let i = text.indexOf(pending); i !== -1; i = text.indexOf(pending, i + 1)) {
+            if (best === -1 || Math.abs(i - start) < Math.abs(best - start)) best = i;
+        }
+        return best;
+    }
+
+    /**
+     * Blocks input; keys typed meanwhile are queued in lockBuffer (up to maxLockBuffer).
+     * @param {function(): void} [onCancel] - Called when Escape is pressed during the lock
+     */
+    _enableLock(onCancel = null) {
+        // The innermost holder decides what Escape cancels
+        if (onCancel) this._lockCancel = onCancel;
+        // Nested locks (e.g. typing after an async value) keep the keys queued so far
+        if (this.isLocked) return;
+        this.lockBuffer = [];
+        this.isLocked = true;
+        this._emit('lock');
+        this._updateDebugStatus("LOCKED (Typing...)");
+    }
+
+    /**
+     * Unlocks and replays the queued keys in order, as if typed now: Backspace deletes,
+     * and the replayed text can fire hotstrings. If one of them locks again, the rest of
+     * the queue waits for that lock.
+     */
+    _disableLockAndReplay() {
+        this.isLocked = false;
+        this._lockCancel = null;
+        this._emit('unlock');
+
+        const queue = this.lockBuffer;
+        this.lockBuffer = [];
+        if (queue.length > 0) this._updateDebugStatus("Replaying...");
+        while (queue.length > 0) {
+            if (this.isLocked) {
+                this.lockBuffer.unshift(...queue);
+                return;
+            }
+            this._replayKey(queue.shift());
+        }
+        this._updateDebugStatus("Ready");
+    }
+
+    _replayKey({ key, shiftKey }) {
+        // Same order of checks as a live keydown
+        if (this._active.lastExpansion) {
+            if (key === 'Backspace' && this._revertExpansion()) return;
+            this._active.lastExpansion = null;
+        }
+
+        if (key === 'Tab') {
+            this._typeTab(shiftKey);
+        } else if (key === 'Backspace') {
+            const adapter = this.adapter;
+            const { start, end } = adapter.getSelection();
+            this.isReplacing = true;
+            try {
+                if (start !== end) adapter.replaceRange(start, end, "");
+                else if (start > 0) adapter.replaceRange(this._stepBack(adapter.getText(), start), start, "");
+                adapter.notifyChange();
+            } finally {
+                this.isReplacing = false;
+            }
+            this.buffer = this.buffer.slice(0, this._stepBack(this.buffer, this.buffer.length));
+            this._updateDebug();
+            this._updateSuggestions();
+        } else {
+            const char = key === 'Enter' ? '\n' : key;
+            this.adapter.insertText(char);
+            this._processInputChar(char);
+        }
+    }
+
+    _handleMuteKeydown(e) {
+         if(e.key.length === 1 && !e.ctrlKey) {
+             e.preventDefault();
+             const char = e.key;
+             if(this.endChars.has(char)) this._processMuteBuffer(char);
+             else { this.muteBuffer += char; this._updateDebug(); }
+         }
+         else if(e.key === 'Backspace') {
+             e.preventDefault();
+             this.muteBuffer = this.muteBuffer.slice(0,-1);
+             this._updateDebug();
+         }
+    }
+
+    _processMuteBuffer(endChar) {
+        this._insertText(this.muteBuffer + endChar);
+        this.muteBuffer = "";
+        this._updateDebug();
+    }
+
+    _insertText(text) {
+        this.adapter.insertText(text);
+    }
+
+    _resetBuffer(reason = null) {
+        this.buffer = "";
+        this._hideSuggestions();
+        if (reason && this._active) {
+            this._active.selection = null;
+            this._active.lastExpansion = null;
+        }
+        this._emit('reset', { reason });
+        this._updateDebug(reason);
+    }
+
+    _updateDebug(resetReason = null) {
+        this._emit('bufferchange', {
+            buffer: this.muteMode ? this.muteBuffer : this.buffer,
+            isMute: this.muteMode,
+            isLocked: this.isLocked
+        });
+
+        // Deprecated global hooks, kept for existing pages. Prefer on('bufferchange').
+        if (typeof window !== 'undefined' && typeof window.onHotstringUpdate === 'function') {
+            window.onHotstringUpdate({
+                buffer: this.muteMode ? this.muteBuffer : this.buffer,
+                target: this.target,
+                isMute: this.muteMode,
+                isLocked: this.isLocked,
+                resetReason: resetReason
+            });
+        }
+    }
+
+    _updateDebugStatus(status) {
+        if (typeof window !== 'undefined' && typeof window.onHotstringStatus === 'function') {
+            window.onHotstringStatus(status);
+        }
+    }
+}
+
+
+/**
+ * Base class for editor adapters.
+ * An adapter translates the manager's text operations into calls on a concrete
+ * editing surface. All positions are offsets into the plain text returned by getText().
+ * Subclass it to support other editors (CodeMirror, ProseMirror, ...) and pass an
+ * instance via the `adapter` option or register it with HotstringManager.registerAdapter().
+ */
+class EditorAdapter {
+    constructor(element) {
+        this.element = element;
+    }
+
+    // --- Required ---
+
+    /** @returns {string} Plain text content of the editor */
+    getText() {
+        throw new Error(`${this.constructor.name}.getText() is not implemented`);
     }
 
-    clear() {
-        this.hotstrings = [];
+    /** @returns {{start: number, end: number}} Current selection as text offsets */
+    getSelection() {
+        throw new Error(`${this.constructor.name}.getSelection() is not implemented`);
     }
 
-    // --- Internal Logic ---
+    /** Selects a range, or places the caret when `end` is omitted. */
+    setSelection(start, end = start) {
+        throw new Error(`${this.constructor.name}.setSelection() is not implemented`);
+    }
 
-    _bindEvents() {
-        this.target.addEventListener('keydown', (e) => this._handleKeydown(e));
-        this.target.addEventListener('input', (e) => this._handleInput(e));
+    /** Replaces the text between `start` and `end`, leaving the caret after the inserted text. */
+    replaceRange(start, end, text) {
+        throw new Error(`${this.constructor.name}.replaceRange() is not implemented`);
+    }
 
-        // Focus change always resets buffer
-        this.target.addEventListener('blur', () => {
-            this._resetBuffer("Focus Lost");
-        });
+    // --- Optional ---
 
-        // Mouse click (mousedown to catch caret move before click)
-        this.target.addEventListener('mousedown', () => {
-            if (this.resetOnMouse) {
-                this._resetBuffer("Mouse Click");
-            }
-        });
+    /** Notifies frameworks and form bindings that the content changed. */
+    notifyChange() {
+        this.element.dispatchEvent(new Event('input', { bubbles: true }));
     }
 
-    _handleKeydown(e) {
-        if (this.isLocked) {
-            e.preventDefault();
-            if (e.key.length === 1 || e.key === 'Enter' || e.key === 'Backspace' || e.key === 'Tab') {
-                this.lockBuffer.push(e.key);
-            }
-            return;
-        }
-
-        // 1. Modifiers: Reset Buffer (Ctrl+A, Ctrl+C etc)
-        // Note: Shift is not included as it's used for typing capital letters
-        if (e.ctrlKey || e.altKey || e.metaKey) {
-            this._resetBuffer(`Modifier: ${e.key}`);
-            return;
-        }
+    getCaret() {
+        return this.getSelection().end;
+    }
 
-        // 2. Navigation Keys: Reset Buffer (move caret breaks context)
-        const navKeys = [
-            "ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown",
-            "PageUp", "PageDown", "Home", "End", "Escape"
-        ];
+    getSelectedText() {
+        const { start, end } = this.getSelection();
+        return this.getText().slice(start, end);
+    }
 
-        if (navKeys.includes(e.key)) {
-            this._resetBuffer(`Nav: ${e.key}`);
-        }
+    /**
+     * Viewport position of the caret, used to place the suggestion popup.
+     * Defaults to the element's top-left corner.
+     * @returns {{left: number, top: number, bottom: number}}
+     */
+    getCaretRect() {
+        const rect = this.element.getBoundingClientRect();
+        return { left: rect.left, top: rect.top, bottom: rect.bottom };
+    }
 
-        if (this.muteMode) {
-            this._handleMuteKeydown(e);
-            return;
-        }
+    insertText(text) {
+        const { start, end } = this.getSelection();
+        this.replaceRange(start, end, text);
+    }
 
-        // --- Custom Tab Handling ---
-        // If Tab is pressed: prevent focus change, insert \t, and process as input
-        if (e.key === 'Tab') {
-            e.preventDefault();
+    /**
+     * Deletes `count` characters before the caret.
+     * @returns {boolean} False if there is not enough text before the caret
+     */
+    deleteBackward(count) {
+        if (count <= 0) return true;
+        const caret = this.getCaret();
+        if (caret < count) return false;
+        this.replaceRange(caret - count, caret, "");
+        return true;
+    }
+}
 
-            // Insert literal Tab
-            const start = this.target.selectionStart;
-            const end = this.target.selectionEnd;
-            this.target.setRangeText('\t', start, end, 'end');
+/**
+ * Adapter for <textarea> and text-like <input> elements.
+ */
+class TextInputAdapter extends EditorAdapter {
+    getText() {
+        return this.element.value;
+    }
 
-            // Process input for hotstring triggers
-            this._processInputChar('\t');
-            return;
-        }
+    getSelection() {
+        return { start: this.element.selectionStart, end: this.element.selectionEnd };
+    }
 
-        if (e.key === 'Backspace') {
-            this.buffer = this.buffer.slice(0, -1);
-            this._updateDebug();
-        }
+    setSelection(start, end = start) {
+        this.element.setSelectionRange(start, end);
     }
 
-    _handleInput(e) {
-        if (this.isLocked || this.muteMode || this.isReplacing) return;
+    replaceRange(start, end, text) {
+        this.element.setRangeText(text, start, end, 'end');
+    }
 
-        // Check for paste, cut, undo, redo operations that significantly alter text/cursor
-        const resetTypes = ['insertFromPaste', 'deleteByCut', 'historyUndo', 'historyRedo'];
-        if (resetTypes.includes(e.inputType)) {
-            this._resetBuffer(`Action: ${e.inputType}`);
-            return;
-        }
+    // Lays the text out in a hidden copy of the field and measures a marker at the caret
+    getCaretRect() {
+        const el = this.element;
+        const doc = el.ownerDocument;
+        const style = doc.defaultView.getComputedStyle(el);
+        const mirror = doc.createElement('div');
+        for (const prop of TextInputAdapter.MIRROR_STYLES) mirror.style[prop] = style[prop];
+        Object.assign(mirror.style, {
+            position: 'absolute', visibility: 'hidden', top: '0', left: '0', overflow: 'hidden',
+            whiteSpace: el.tagName === 'INPUT' ? 'pre' : 'pre-wrap', overflowWrap: 'break-word'
+        });
 
-        let char = e.data;
+        const caret = this.getCaret();
+        mirror.textContent = el.value.slice(0, caret);
+        const marker = doc.createElement('span');
+        marker.textContent = el.value.slice(caret) || '.';
+        mirror.appendChild(marker);
+        doc.body.appendChild(mirror);
 
-        // Handle Enter Key (data is null, inputType is line break)
-        if (!char && (e.inputType === 'insertLineBreak' || e.inputType === 'insertParagraph')) {
-            char = '\n';
-        }
+        const rect = el.getBoundingClientRect();
+        const left = rect.left + parseFloat(style.borderLeftWidth || 0) + marker.offsetLeft - el.scrollLeft;
+        const top = rect.top + parseFloat(style.borderTopWidth || 0) + marker.offsetTop - el.scrollTop;
+        const lineHeight = parseFloat(style.lineHeight) || (parseFloat(style.fontSize) || 16) * 1.2;
+        mirror.remove();
+        return { left, top, bottom: top + lineHeight };
+    }
+}
 
-        this._processInputChar(char);
+/**
+ * Adapter for contenteditable elements, using DOM Selection/Range.
+ * Text offsets count characters of text nodes; <br> and the start of a
+ * block element following other content each count as one "\n".
+ */
+class ContentEditableAdapter extends EditorAdapter {
+    getText() {
+        return this._segments().map(seg => seg.text).join('');
     }
 
-    // Shared Logic for Input/Keydown buffer updates
-    _processInputChar(char) {
-        if (char) {
-            this.buffer += char;
-            if (this.buffer.length > this.maxBuffer) this.buffer = this.buffer.slice(-this.maxBuffer);
-            this._updateDebug();
-            this._checkTriggers(char);
+    getSelection() {
+        const sel = this.element.ownerDocument.getSelection();
+        if (!sel || sel.rangeCount === 0 || !this.element.contains(sel.anchorNode)) {
+            const len = this.getText().length;
+            return { start: len, end: len };
         }
+        const range = sel.getRangeAt(0);
+        const segments = this._segments();
+        return {
+            start: this._pointToOffset(segments, range.startContainer, range.startOffset),
+            end: this._pointToOffset(segments, range.endContainer, range.endOffset)
+        };
     }
 
-    _checkTriggers(lastChar) {
-        // Hotstrings are sorted by Priority (High to Low), then Length (Long to Short)
-        for (const hs of this.hotstrings) {
+    setSelection(start, end = start) {
+        const range = this._createRange(start, end);
+        const sel = this.element.ownerDocument.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
 
-            // Suspend Check: If globally suspended, only Exempt (S) hotstrings work
-            if (this.isSuspended && !hs.suspendExempt) continue;
+    replaceRange(start, end, text) {
+        // Nothing to do, and execCommand('delete') would remove the character before the caret
+        if (start === end && !text) return;
 
-            if (hs.type === 'regex') {
-                const match = this.buffer.match(hs.trigger);
-                if (match) {
-                    this._executeRegexMatch(hs, match);
-                    return;
-                }
-                continue;
-            }
+        const doc = this.element.ownerDocument;
+        const range = this._createRange(start, end);
 
-            this._checkStandardMatch(hs, lastChar);
-            if (this.lastMatchOccurred) {
-                 this.lastMatchOccurred = false;
-                 return;
+        // Prefer the editing command while focused: it merges blocks like real
+        // typing would and keeps the native undo stack intact.
+        if (doc.activeElement === this.element && typeof doc.execCommand === 'function') {
+            const sel = doc.getSelection();
+            sel.removeAllRanges();
+            sel.addRange(range);
+            try {
+                if (doc.execCommand(text ? 'insertText' : 'delete', false, text)) return;
+            } catch (e) {
+                // Fall through to manual range editing
             }
         }
-    }
 
-    _checkStandardMatch(hs, lastChar) {
-        let isMatch = false;
-        let triggerLen = hs.trigger.length;
-        let endCharLen = 0;
-        let endCharTyped = "";
-        let matchedTriggerText = "";
+        range.deleteContents();
+        const fragment = doc.createDocumentFragment();
+        text.split('\n').forEach((line, i) => {
+            if (i > 0) fragment.appendChild(doc.createElement('br'));
+            if (line) fragment.appendChild(doc.createTextNode(line));
+        });
+        const last = fragment.lastChild;
+        range.insertNode(fragment);
+        if (last) range.setStartAfter(last);
+        range.collapse(true);
 
-        if (hs.fireImmediately) {
-            const tail = this.buffer.slice(-triggerLen);
-            if (this._compare(tail, hs.trigger, hs.caseSensitive)) {
-                if (hs.insideWord || this._isStartOfWord(triggerLen)) {
-                    isMatch = true;
-                    matchedTriggerText = tail;
-                }
+        const sel = doc.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
+
+    getCaretRect() {
+        const sel = this.element.ownerDocument.getSelection();
+        if (sel && sel.rangeCount > 0 && this.element.contains(sel.anchorNode)) {
+            const range = sel.getRangeAt(0).cloneRange();
+            range.collapse(false);
+            // A collapsed range on an empty line has no box; fall back to the element
+            const rect = typeof range.getBoundingClientRect === 'function' ? range.getBoundingClientRect() : null;
+            if (rect && (rect.height || rect.left || rect.top)) {
+                return { left: rect.left, top: rect.top, bottom: rect.bottom };
             }
         }
-        else if (lastChar && this.endChars.has(lastChar)) {
-            endCharLen = lastChar.length;
-            endCharTyped = lastChar;
-            const potentialTrigger = this.buffer.slice(-(triggerLen + endCharLen), -endCharLen);
-            if (this._compare(potentialTrigger, hs.trigger, hs.caseSensitive)) {
-                if (hs.insideWord || this._isStartOfWord(triggerLen + endCharLen)) {
-                    isMatch = true;
-                    matchedTriggerText = potentialTrigger;
+        return super.getCaretRect();
+    }
+
+    /**
+     * Flattens the element into text segments in document order.
+     * @returns {{node: Node, kind: string, start: number, text: string}[]}
+     */
+    _segments() {
+        const segments = [];
+        let offset = 0;
+        const push = (node, kind, text) => {
+            segments.push({ node, kind, start: offset, text });
+            offset += text.length;
+        };
+
+        const walk = (parent) => {
+            for (const node of parent.childNodes) {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    if (node.data) push(node, 'text', node.data);
+                } else if (node.nodeType === Node.ELEMENT_NODE) {
+                    if (node.tagName === 'BR') {
+                        push(node, 'br', '\n');
+                        continue;
+                    }
+                    if (ContentEditableAdapter.BLOCK_TAGS.has(node.tagName) && offset > 0 &&
+                        segments[segments.length - 1].kind !== 'br') {
+                        push(node, 'block', '\n');
+                    }
+                    walk(node);
                 }
             }
-        }
-
-        if (isMatch) {
-            this.lastMatchOccurred = true;
-            this._triggerAction(hs, endCharTyped, triggerLen, endCharLen, matchedTriggerText);
-        }
+        };
+        walk(this.element);
+        return segments;
     }
 
-    async _triggerAction(hs, endCharTyped, triggerLen, endCharLen, matchedTriggerText) {
-        // Reset buffer to prevent overlapping triggers and "ghost" matching.
-        this._resetBuffer();
-
-        // 1. Calculate Backspaces
-        let bsCount = triggerLen + endCharLen;
-        if (hs.noBackspace) bsCount = 0;
+    _pointToOffset(segments, node, offset) {
+        const doc = this.element.ownerDocument;
+        const caret = doc.createRange();
+        caret.setStart(node, offset);
+        caret.collapse(true);
 
-        // 2. Prepare Replacement
-        let textToInsert = hs.replacement;
+        let count = 0;
+        for (const seg of segments) {
+            if (seg.node === node && seg.kind === 'text') return seg.start + offset;
 
-        // Execute Mode
-        if (hs.execute) {
-            if (typeof hs.replacement === 'function') {
-                this._performBackspace(bsCount);
-                hs.replacement();
-                return;
+            // End point of the segment: after the text/<br>, or at the start of the block
+            let endNode = seg.node, endOffset = seg.text.length;
+            if (seg.kind === 'br') {
+                endNode = seg.node.parentNode;
+                endOffset = Array.prototype.indexOf.call(endNode.childNodes, seg.node) + 1;
+            } else if (seg.kind === 'block') {
+                endOffset = 0;
             }
-        }
-
-        // Case Conformity (C1 turns this OFF. Default is ON if C0)
-        if (!hs.caseSensitive && !hs.noConformity && matchedTriggerText) {
-            textToInsert = this._applyCaseConformity(matchedTriggerText, textToInsert);
-        }
 
-        // Omit End Char
-        if (!hs.fireImmediately && !hs.omitEndChar) {
-            textToInsert += endCharTyped;
+            if (caret.comparePoint(endNode, endOffset) > 0) break;
+            count = seg.start + seg.text.length;
         }
+        return count;
+    }
 
-        // 3. Send Mode Logic
-        const useDelay = (hs.sendMode === 'SE' || hs.sendMode === 'SP') && hs.keyDelay > -1;
-        const effectiveDelay = hs.keyDelay > -1 ? hs.keyDelay : 20;
-
-        if (useDelay) {
-             this._performBackspace(bsCount);
-             await this._typeText(textToInsert, effectiveDelay, hs.rawMode);
-        } else {
-             this._performReplacementInstant(bsCount, textToInsert, hs.rawMode);
+    _offsetToPoint(segments, offset) {
+        for (const seg of segments) {
+            if (seg.kind === 'text' && offset >= seg.start && offset <= seg.start + seg.text.length) {
+                return { node: seg.node, offset: offset - seg.start };
+            }
+            if (seg.kind !== 'text' && offset === seg.start + 1) {
+                if (seg.kind === 'block') return { node: seg.node, offset: 0 };
+                const parent = seg.node.parentNode;
+                return { node: parent, offset: Array.prototype.indexOf.call(parent.childNodes, seg.node) + 1 };
+            }
         }
+        return offset <= 0
+            ? { node: this.element, offset: 0 }
+            : { node: this.element, offset: this.element.childNodes.length };
     }
 
-    _performReplacementInstant(backspaceCount, text, rawMode) {
-        this.isReplacing = true; // LOCK
-        try {
-            const input = this.target;
-            const startPos = input.selectionStart;
-            if (startPos < backspaceCount) return;
-
-            // Remove Trigger
-            input.setRangeText("", startPos - backspaceCount, startPos, 'end');
-
-            // Check for {Left n} hack for the B0 demo
-            let moveLeft = 0;
-            let cleanText = text;
-            const leftMatch = text.match(/{Left (\d+)}/i);
-            if (leftMatch) {
-                moveLeft = parseInt(leftMatch[1], 10);
-                cleanText = text.replace(leftMatch[0], "");
-            }
+    _createRange(start, end) {
+        const segments = this._segments();
+        const from = this._offsetToPoint(segments, start);
+        const to = end === start ? from : this._offsetToPoint(segments, end);
+        const range = this.element.ownerDocument.createRange();
+        range.setStart(from.node, from.offset);
+        range.setEnd(to.node, to.offset);
+        return range;
+    }
+}
 
-            const parsed = rawMode ? cleanText : this._parseSendString(cleanText);
-            const newStart = input.selectionStart;
-            input.setRangeText(parsed, newStart, newStart, 'end');
+/**
+ * Base class for storage adapters used by the `storage` option.
+ * Data is the object produced by export({ format: 'json' }); methods may return Promises.
+ * Subclass it (or pass any object with these methods) to save to your own backend.
+ */
+class StorageAdapter {
+    /** @returns {Object|null|Promise<Object|null>} Saved data, or null if nothing was saved */
+    load() {
+        throw new Error(`${this.constructor.name}.load() is not implemented`);
+    }
 
-            if (moveLeft > 0) {
-                input.selectionStart = input.selectionEnd - moveLeft;
-                input.selectionEnd = input.selectionStart;
-            }
+    /** @returns {void|Promise<void>} */
+    save(data) {
+        throw new Error(`${this.constructor.name}.save() is not implemented`);
+    }
 
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-        } finally {
-            this.isReplacing = false; // UNLOCK
-        }
+    /**
+     * Optional. Calls `listener(data)` when the data is changed elsewhere (another tab).
+     * @returns {function(): void} Unsubscribe
+     */
+    subscribe(listener) {
+        return () => {};
     }
+}
 
-    async _typeText(text, delay, rawMode) {
-        this._enableLock();
-        const input = this.target;
-        const content = rawMode ? text : this._parseSendString(text);
+/**
+ * Saves to localStorage. Other tabs are notified through the `storage` event.
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(key = 'hotstrings') {
+        super();
+        this.key = key;
+    }
 
-        for (const char of content) {
-            const start = input.selectionStart;
-            input.setRangeText(char, start, start, 'end');
-            await new Promise(r => setTimeout(r, delay));
-        }
-        this._disableLockAndReplay();
+    load() {
+        const value = localStorage.getItem(this.key);
+        return value ? JSON.parse(value) : null;
     }
 
-    _performBackspace(count) {
-        if (count <= 0) return;
-        const input = this.target;
-        const start = input.selectionStart;
-        input.setRangeText("", start - count, start, 'end');
+    save(data) {
+        localStorage.setItem(this.key, JSON.stringify(data));
     }
 
-    _applyCaseConformity(typed, replacement) {
-        if (typed === typed.toUpperCase() && typed !== typed.toLowerCase()) {
-            return replacement.toUpperCase();
-        }
-        if (typed.length > 0 && typed[0] === typed[0].toUpperCase() && typed.substring(1) === typed.substring(1).toLowerCase()) {
-            return replacement.charAt(0).toUpperCase() + replacement.slice(1);
-        }
-        return replacement;
+    subscribe(listener) {
+        const handler = (e) => {
+            if (e.key === this.key && e.storageArea === localStorage && e.newValue) {
+                listener(JSON.parse(e.newValue));
+            }
+        };
+        window.addEventListener('storage', handler);
+        return () => window.removeEventListener('storage', handler);
     }
+}
 
-    _parseSendString(str) {
-        return str.replace(/{Enter}/gi, '\n').replace(/{Tab}/gi, '\t').replace(/{Space}/gi, ' ');
+/**
+ * Saves to IndexedDB, for tables too large for localStorage.
+ * Other tabs are notified through a BroadcastChannel.
+ */
+class IndexedDBAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.dbName = options.dbName || 'hotstrings';
+        this.storeName = options.storeName || 'tables';
+        this.key = options.key || 'default';
+        this._db = null;
     }
 
-    async _executeRegexMatch(hs, match) {
-        this._resetBuffer();
-         if (typeof hs.replacement === 'function') {
-            const func = hs.replacement;
-            const backspaceCount = match[0].length;
-            const result = func(...match);
-            if (result) this._performReplacementInstant(backspaceCount, result, false);
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
+        return this._db;
     }
 
-    _enableLock() {
-        this.isLocked = true;
-        this.lockBuffer = [];
-        this._updateDebugStatus("LOCKED (Typing...)");
+    async _request(mode, run) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const request = run(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    _disableLockAndReplay() {
-        this.isLocked = false;
-        this._updateDebugStatus("Replaying...");
-         if (this.lockBuffer.length > 0) {
-            const replayText = this.lockBuffer.reduce((acc, key) => {
-                if (key === 'Enter') return acc + '\n';
-                if (key === 'Tab') return acc + '\t';
-                if (key === 'Backspace') return acc;
-                return acc + key;
-            }, "");
-            const start = this.target.selectionStart;
-            this.target.setRangeText(replayText, start, start, 'end');
-            this.buffer += replayText;
-        }
-        this._updateDebugStatus("Ready");
+    async load() {
+        const data = await this._request('readonly', store => store.get(this.key));
+        return data || null;
     }
 
-    _handleMuteKeydown(e) {
-         if(e.key.length === 1 && !e.ctrlKey) {
-             e.preventDefault();
-             const char = e.key;
-             if(this.endChars.has(char)) this._processMuteBuffer(char);
-             else { this.muteBuffer += char; this._updateDebug(); }
-         }
-         else if(e.key === 'Backspace') {
-             e.preventDefault();
-             this.muteBuffer = this.muteBuffer.slice(0,-1);
-             this._updateDebug();
-         }
+    async save(data) {
+        await this._request('readwrite', store => store.put(data, this.key));
+        if (typeof BroadcastChannel !== 'undefined') {
+            const channel = new BroadcastChannel(`${this.dbName}:${this.key}`);
+            channel.postMessage(data);
+            channel.close();
+        }
     }
 
-    _processMuteBuffer(endChar) {
-        this._insertText(this.muteBuffer + endChar);
-        this.muteBuffer = "";
-        this._updateDebug();
+    subscribe(listener) {
+        if (typeof BroadcastChannel === 'undefined') return () => {};
+        const channel = new BroadcastChannel(`${this.dbName}:${this.key}`);
+        channel.onmessage = (e) => listener(e.data);
+        return () => channel.close();
     }
+}
 
-    _insertText(text) {
-        const start = this.target.selectionStart;
-        this.target.setRangeText(text, start, start, 'end');
-    }
+// Default EndChars
+HotstringEngine.END_CHARS = [" ", "\t", "\n", ".", ",", "!", "?", "-", "(", ")", "[", "]", "{", "}", ":", ";", "'", "\"", "/", "\\"];
 
-    _parseDefinition(def) {
-        // FIX: Changedregex to use `(.*?)` for options to allow empty options like `::twa`
-        const match = def.match(/^:(.*?):(.+)$/is);
-        if (!match) return null;
+// Characters words are made of: Unicode letters, combining marks, numbers and connectors like "_"
+HotstringEngine.WORD_CHARS = /[\p{L}\p{M}\p{N}\p{Pc}]/u;
 
-        const optsStr = match[1].toUpperCase();
-        const opts = {
-            fireImmediately: false,
-            insideWord: false,
-            noBackspace: false,
-            caseSensitive: false,
-            noConformity: false,
-            omitEndChar: false,
-            rawMode: false,
-            execute: false,
-            resetRecognizer: false,
-            suspendExempt: false,
-            priority: 0,
-            keyDelay: -1,
-            sendMode: 'SI'
-        };
+// Letters whose title case differs from their upper case (see applyCase())
+HotstringEngine.TITLE_CASE = {
+    'Ǆ': 'ǅ', 'ǅ': 'ǅ', 'ǆ': 'ǅ', 'Ǉ': 'ǈ', 'ǈ': 'ǈ', 'ǉ': 'ǈ',
+    'Ǌ': 'ǋ', 'ǋ': 'ǋ', 'ǌ': 'ǋ', 'Ǳ': 'ǲ', 'ǲ': 'ǲ', 'ǳ': 'ǲ'
+};
 
-        if (optsStr.includes('*')) opts.fireImmediately = !optsStr.includes('*0');
-        if (optsStr.includes('?')) opts.insideWord = !optsStr.includes('?0');
-        if (optsStr.includes('B0')) opts.noBackspace = true;
-        else if (optsStr.includes('B')) opts.noBackspace = false;
+// AHK hotstring options: the record properties set by each variant ("" for the
+// bare option), or for Kn and Pn the property that receives the number
+HotstringEngine.OPTIONS = {
+    '*': { '': { fireImmediately: true }, 0: { fireImmediately: false } },
+    '?': { '': { insideWord: true }, 0: { insideWord: false } },
+    B: { '': { noBackspace: false }, 0: { noBackspace: true } },
+    C: {
+        '': { caseSensitive: true, noConformity: false },
+        0: { caseSensitive: false, noConformity: false },
+        1: { caseSensitive: false, noConformity: true }
+    },
+    K: { number: 'keyDelay' },
+    O: { '': { omitEndChar: true }, 0: { omitEndChar: false } },
+    P: { number: 'priority' },
+    R: { '': { rawMode: true }, 0: { rawMode: false } },
+    S: { '': { suspendExempt: true }, 0: { suspendExempt: false } },
+    SE: { '': { sendMode: 'SE' } },
+    SI: { '': { sendMode: 'SI' } },
+    SP: { '': { sendMode: 'SP' } },
+    T: { '': { rawMode: true }, 0: { rawMode: false } },
+    X: { '': { execute: true } },
+    Z: { '': { resetRecognizer: true }, 0: { resetRecognizer: false } }
+};
 
-        if (optsStr.includes('C1')) opts.noConformity = true;
-        else if (optsStr.includes('C')) opts.caseSensitive = !optsStr.includes('C0');
+// Key names understood inside {braces} of a Send string
+HotstringEngine.SEND_KEYS = {
+    enter: { text: '\n' }, tab: { text: '\t' }, space: { text: ' ' },
+    left: { key: 'Left' }, right: { key: 'Right' }, up: { key: 'Up' }, down: { key: 'Down' },
+    home: { key: 'Home' }, end: { key: 'End' },
+    bs: { key: 'BS' }, backspace: { key: 'BS' }, del: { key: 'Del' }, delete: { key: 'Del' },
+    // Keys without a text-editing effect in a browser field
+    esc: { ignore: true }, escape: { ignore: true }, blind: { ignore: true },
+    ins: { ignore: true }, insert: { ignore: true }, pgup: { ignore: true }, pgdn: { ignore: true },
+    shift: { ignore: true }, lshift: { ignore: true }, rshift: { ignore: true },
+    ctrl: { ignore: true }, control: { ignore: true }, lctrl: { ignore: true }, rctrl: { ignore: true },
+    alt: { ignore: true }, lalt: { ignore: true }, ralt: { ignore: true }, lwin: { ignore: true }, rwin: { ignore: true }
+};
 
-        if (optsStr.includes('O')) opts.omitEndChar = !optsStr.includes('O0');
+// Still reachable under the manager, where it used to live
+HotstringManager.SEND_KEYS = HotstringEngine.SEND_KEYS;
 
-        if (optsStr.includes('T')) opts.rawMode = !optsStr.includes('T0');
-        else if (optsStr.includes('R')) opts.rawMode = !optsStr.includes('R0');
+// Styles copied to the mirror element that measures the caret position
+TextInputAdapter.MIRROR_STYLES = [
+    'boxSizing', 'width', 'height', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth',
+    'borderLeftWidth', 'borderStyle', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'lineHeight', 'fontFamily',
+    'textAlign', 'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing', 'tabSize'
+];
 
-        if (optsStr.includes('X')) opts.execute = true;
-        if (optsStr.includes('Z')) opts.resetRecognizer = !optsStr.includes('Z0');
-        if (optsStr.includes('S')) opts.suspendExempt = !optsStr.includes('S0');
+ContentEditableAdapter.BLOCK_TAGS = new Set([
+    "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DD", "DIV", "DL", "DT", "FIGCAPTION", "FIGURE",
+    "FOOTER", "H1", "H2", "H3", "H4", "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P",
+    "PRE", "SECTION", "TABLE", "TR", "UL"
+]);
 
-        if (optsStr.includes('SE')) opts.sendMode = 'SE';
-        else if (optsStr.includes('SP')) opts.sendMode = 'SP';
-        else if (optsStr.includes('SI')) opts.sendMode = 'SI';
+// Schema version of export({ format: 'json' })
+HotstringManager.EXPORT_VERSION = 1;
 
-        const kMatch = optsStr.match(/K(-?\d+)/);
-        if (kMatch) opts.keyDelay = parseInt(kMatch[1], 10);
+// strftime conversions (Espanso dates, TextExpander macros) as %date% format tokens.
+// "-x" is the unpadded form, written %-d or, in TextExpander, %1d.
+HotstringManager.STRFTIME = {
+    Y: 'YYYY', y: 'YY', m: 'MM', '-m': 'M', B: 'MMMM', b: 'MMM', h: 'MMM',
+    d: 'DD', '-d': 'D', e: 'D', A: 'DDDD', a: 'DDD',
+    H: 'HH', '-H': 'H', k: 'H', I: 'hh', '-I': 'h', l: 'h', M: 'mm', '-M': 'm', S: 'ss', '-S': 's',
+    p: 'A', P: 'a', F: 'YYYY-MM-DD', D: 'MM/DD/YY', T: 'HH:mm:ss', R: 'HH:mm'
+};
 
-        const pMatch = optsStr.match(/P(-?\d+)/);
-        if (pMatch) opts.priority = parseInt(pMatch[1], 10);
+// Built-in variables for replacement text (%name% or %name:arg%), called with the
+// manager as `this`. User variables from setVariable() take precedence.
+HotstringManager.VARIABLES = (() => {
+    const date = (format) => function () { return this._formatDate(new Date(), format); };
+    const clipboard = () => {
+        if (typeof navigator === 'undefined' || !navigator.clipboard || !navigator.clipboard.readText) return "";
+        return navigator.clipboard.readText().catch(() => "");
+    };
+    const randomId = (length) => {
+        const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
+        const bytes = new Uint8Array(length);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, b => chars[b % chars.length]).join('');
+    };
 
-        return {
-            trigger: match[2],
-            ...opts
-        };
-    }
+    return {
+        date(format) { return this._formatDate(new Date(), format || 'YYYY-MM-DD'); },
+        time(format) { return this._formatDate(new Date(), format || 'HH:mm'); },
+        datetime(format) { return this._formatDate(new Date(), format || 'YYYY-MM-DD HH:mm'); },
+        selection(arg, context) { return context.selection || ""; },
+        clipboard,
+        counter(name = "") {
+            const value = (this._counters.get(name) || 0) + 1;
+            this._counters.set(name, value);
+            return value;
+        },
+        uuid() {
+            if (crypto.randomUUID) return crypto.randomUUID();
+            const hex = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0'));
+            hex[6] = '4' + hex[6][1];
+            hex[8] = ((parseInt(hex[8], 16) & 0x3f) | 0x80).toString(16);
+            const h = hex.join('');
+            return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+        },
+        random(length) { return randomId(parseInt(length, 10) || 8); },
 
-    _sortHotstrings() {
-        this.hotstrings.sort((a, b) => {
-            if (a.priority !== b.priority) return b.priority - a.priority;
-            const lenA = a.type === 'regex' ? 0 : a.trigger.length;
-            const lenB = b.type === 'regex' ? 0 : b.trigger.length;
-            return lenB - lenA;
-        });
-    }
+        // AutoHotkey built-in variables, for imported scripts
+        a_yyyy: date('YYYY'), a_year: date('YYYY'),
+        a_mm: date('MM'), a_mon: date('MM'),
+        a_dd: date('DD'), a_mday: date('DD'),
+        a_mmmm: date('MMMM'), a_mmm: date('MMM'),
+        a_dddd: date('DDDD'), a_ddd: date('DDD'),
+        a_hour: date('HH'), a_min: date('mm'), a_sec: date('ss'), a_msec: date('SSS'),
+        a_now: date('YYYYMMDDHHmmss'),
+        a_nowutc() {
+            const d = new Date();
+            return this._formatDate(new Date(d.getTime() + d.getTimezoneOffset() * 60000), 'YYYYMMDDHHmmss');
+        },
+        a_wday() { return new Date().getDay() + 1; },
+        a_yday() {
+            const now = new Date();
+            return Math.floor((now - new Date(now.getFullYear(), 0, 0)) / 86400000);
+        },
+        a_clipboard: clipboard,
+        a_space: " ",
+        a_tab: "\t"
+    };
+})();
 
-    _compare(a, b, cs) {
-        if (!a || !b) return false;
-        return cs ? a === b : a.toLowerCase() === b.toLowerCase();
-    }
+// CJK punctuation added to the EndChars by the `fullWidthEndChars` option
+HotstringManager.FULL_WIDTH_END_CHARS = "\u3000，。、．！？；：（）［］｛｝「」『』【】《》〈〉“”‘’…—～";
 
-    _isStartOfWord(len) {
-        if (this.buffer.length <= len) return true;
-        const charBefore = this.buffer[this.buffer.length - len - 1];
-        return !/[a-zA-Z0-9_]/.test(charBefore);
-    }
+// Input events that only report IME composition progress
+HotstringManager.COMPOSITION_INPUT_TYPES = ['insertCompositionText', 'deleteCompositionText', 'insertFromComposition', 'deleteByComposition'];
 
-    _resetBuffer(reason = null) {
-        this.buffer = "";
-        this._updateDebug(reason);
-    }
+// Default look of the suggestion popup; override these classes in your own CSS
+HotstringManager.SUGGESTION_CSS = `
+.hotstring-suggestions { position: fixed; z-index: 10000; margin: 0; padding: 4px 0; list-style: none;
+    min-width: 160px; max-width: 360px; background: #fff; border: 1px solid #ccc; border-radius: 4px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, .15); font: 13px/1.4 sans-serif; }
+.hotstring-suggestion { display: flex; gap: 12px; padding: 2px 10px; cursor: pointer; white-space: nowrap; }
+.hotstring-suggestion[aria-selected="true"] { background: #e8f0fe; }
+.hotstring-suggestion-trigger { font-weight: 600; }
+.hotstring-suggestion-preview { color: #666; overflow: hidden; text-overflow: ellipsis; }
+`;
 
-    _updateDebug(resetReason = null) {
-        if (typeof window.onHotstringUpdate === 'function') {
-            window.onHotstringUpdate({
-                buffer: this.muteMode ? this.muteBuffer : this.buffer,
-                isMute: this.muteMode,
-                isLocked: this.isLocked,
-                resetReason: resetReason
-            });
-        }
-    }
+// Named actions for bindKey()
+HotstringManager.KEY_ACTIONS = {
+    expand: manager => manager.expandAtCaret(),
+    reset: manager => manager.reset(),
+    suspend: manager => { manager.toggleSuspend(); }
+};
 
-    _updateDebugStatus(status) {
-        if (typeof window.onHotstringStatus === 'function') {
-            window.onHotstringStatus(status);
-        }
-    }
+// Modifier spellings accepted in key combinations
+HotstringManager.MODIFIER_NAMES = {
+    ctrl: 'ctrl', control: 'ctrl',
+    alt: 'alt', option: 'alt',
+    shift: 'shift',
+    meta: 'meta', cmd: 'meta', command: 'meta', win: 'meta', super: 'meta'
+};
+
+// Key names in combinations that differ from KeyboardEvent.key (lowercased)
+HotstringManager.KEY_NAMES = {
+    space: ' ',
+    esc: 'escape',
+    return: 'enter',
+    del: 'delete',
+    up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright'
+};
+
+// Attribute listing a field's tags, for `{ tag }` conditions
+HotstringManager.TAG_ATTRIBUTE = 'data-hotstrings';
+
+// Fields handled in delegate mode unless `include` is given
+HotstringManager.DEFAULT_INCLUDE = [
+    'textarea',
+    'input:not([type])',
+    'input[type="text"]',
+    'input[type="search"]',
+    'input[type="url"]',
+    'input[type="tel"]',
+    '[contenteditable]:not([contenteditable="false"])'
+].join(', ');
+
+// Built-in adapters (custom ones registered later take precedence)
+HotstringManager._adapters = [
+    { matcher: el => !!el && el.isContentEditable === true, AdapterClass: ContentEditableAdapter },
+    { matcher: el => !!el && (el.tagName === 'TEXTAREA' || el.tagName === 'INPUT'), AdapterClass: TextInputAdapter }
+];
+
+// CommonJS (Node, bundlers); hotstring.mjs re-exports these as ES modules for the same.
+// Loaded with a <script> tag, the classes are globals instead.
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        HotstringEngine,
+        HotstringManager,
+        EditorAdapter,
+        TextInputAdapter,
+        ContentEditableAdapter,
+        StorageAdapter,
+        LocalStorageAdapter,
+        IndexedDBAdapter
+    };
 }
@@ -0,0 +1,16 @@
+// ES module entry point for Node and bundlers; the implementation is the CommonJS build in
+// hotstring.js, which a browser cannot import natively (use a <script> tag there)
+import hotstring from './hotstring.js';
+
+export const {
+    HotstringEngine,
+    HotstringManager,
+    EditorAdapter,
+    TextInputAdapter,
+    ContentEditableAdapter,
+    StorageAdapter,
+    LocalStorageAdapter,
+    IndexedDBAdapter
+} = hotstring;
+
+export default HotstringManager;
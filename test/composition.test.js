@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, keydown, type, compose } = require('./helpers');
+
+test('composition updates do not enter the buffer', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':*:ni', 'SHOULD NOT FIRE');
+
+    compose(window, field, ['n', 'ni', 'nih', 'niha', 'nihao'], '你好');
+
+    assert.strictEqual(field.value, '你好');
+    assert.strictEqual(hm.buffer, '你好');
+});
+
+test('committed text triggers hotstrings', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add('::台灣', 'Taiwan');
+
+    compose(window, field, ['t', 'ta', 'tai', 'taiw', 'taiwan'], '台灣');
+    type(window, field, ' ');
+
+    assert.strictEqual(field.value, 'Taiwan ');
+});
+
+test('immediate hotstrings fire at the end of a commit', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':*:謝謝', 'thanks');
+
+    compose(window, field, ['xiexie'], '謝謝');
+
+    assert.strictEqual(field.value, 'thanks');
+});
+
+test('commit events sent after compositionend are not counted twice', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+
+    compose(window, field, ['ka'], 'か', { trailingInput: true });
+
+    assert.strictEqual(hm.buffer, 'か');
+});
+
+test('keys pressed during composition leave the buffer alone', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+
+    type(window, field, 'abc');
+    field.dispatchEvent(new window.CompositionEvent('compositionstart', { data: '', bubbles: true }));
+    assert.ok(keydown(window, field, 'ArrowDown', { isComposing: true }));
+    assert.ok(keydown(window, field, 'Backspace', { isComposing: true }));
+    assert.ok(keydown(window, field, 'Tab', { isComposing: true }));
+
+    assert.strictEqual(hm.buffer, 'abc');
+});
+
+test('full-width punctuation ends hotstrings when enabled', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { fullWidthEndChars: true });
+    hm.add('::btw', 'by the way');
+
+    type(window, field, 'btw');
+    compose(window, field, ['，'], '，');
+
+    assert.strictEqual(field.value, 'by the way，');
+});
+
+test('full-width punctuation is ordinary text by default', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add('::btw', 'by the way');
+
+    type(window, field, 'btw，');
+
+    assert.strictEqual(field.value, 'btw，');
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, type } = require('./helpers');
+
+test('a hotIf() predicate is asked about each hotstring it scopes', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    const asked = [];
+    hm.hotIf(({ hotstring }) => {
+        asked.push(hotstring.trigger);
+        return hotstring.trigger !== 'aa';
+    }, () => {
+        hm.add(':?:aa', 'double');
+        hm.add(':?:a', 'single');
+    });
+
+    type(window, field, 'aa ');
+    assert.strictEqual(field.value, 'asingle ');
+    assert.deepStrictEqual(asked, ['aa', 'a']);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, keydown } = require('./helpers');
+
+/**
+ * A contenteditable field. jsdom has neither isContentEditable nor execCommand,
+ * so both are stubbed; execCommand edits the selection the way browsers do.
+ */
+function editable() {
+    const env = setup('<div id="field" contenteditable="true" tabindex="0"></div>');
+    const { window, document, field } = env;
+    Object.defineProperty(field, 'isContentEditable', { value: true });
+    document.execCommand = (command, ui, value) => {
+        const range = document.getSelection().getRangeAt(0);
+        if (command === 'delete' && range.collapsed) {
+            // Deletes the character before the caret, like Backspace
+            if (range.startContainer.nodeType !== window.Node.TEXT_NODE || range.startOffset === 0) return false;
+            range.setStart(range.startContainer, range.startOffset - 1);
+        }
+        range.deleteContents();
+        if (command === 'insertText') {
+            const node = document.createTextNode(value);
+            range.insertNode(node);
+            range.setStartAfter(node);
+            range.collapse(true);
+        }
+        field.normalize();
+        return true;
+    };
+    field.focus();
+    return env;
+}
+
+/** Types into the contenteditable field: keydown, insertText, input. */
+function type(env, text) {
+    const { window, document, field } = env;
+    for (const char of text) {
+        if (!keydown(window, field, char)) continue;
+        if (document.getSelection().rangeCount === 0) {
+            const range = document.createRange();
+            range.selectNodeContents(field);
+            range.collapse(false);
+            document.getSelection().addRange(range);
+        }
+        document.execCommand('insertText', false, char);
+        field.dispatchEvent(new window.InputEvent('input', { data: char, inputType: 'insertText', bubbles: true }));
+    }
+}
+
+test('hotstrings expand in a contenteditable field', () => {
+    const env = editable();
+    const hm = new env.window.HotstringManager(env.field);
+    hm.add('::btw', 'by the way');
+
+    type(env, 'say btw ');
+    assert.strictEqual(env.field.textContent, 'say by the way ');
+});
+
+test('an empty snippet field deletes nothing', () => {
+    const env = editable();
+    const hm = new env.window.HotstringManager(env.field, { snippets: true });
+    hm.add(':*:dear', 'Dear $1,');
+
+    type(env, 'dear');
+    assert.strictEqual(env.field.textContent, 'Dear ,');
+    assert.strictEqual(hm.adapter.getSelection().start, 5);
+    type(env, 'Ann');
+    assert.strictEqual(env.field.textContent, 'Dear Ann,');
+});
+
+test('{Del} at the end of the text deletes nothing', () => {
+    const env = editable();
+    const hm = new env.window.HotstringManager(env.field);
+    hm.add(':*:ab', 'xy{Del}');
+
+    type(env, 'ab');
+    assert.strictEqual(env.field.textContent, 'xy');
+});
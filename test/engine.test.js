@@ -0,0 +1,334 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { HotstringEngine } = require('../hotstring.js');
+
+/** Feeds text and returns the result of every keystroke that fired. */
+function feed(engine, text) {
+    const fired = [];
+    for (const char of text) {
+        const result = engine.feed(char);
+        if (result) fired.push(result);
+    }
+    return fired;
+}
+
+test('loads without a DOM', () => {
+    assert.strictEqual(typeof document, 'undefined');
+    assert.strictEqual(typeof HotstringEngine, 'function');
+});
+
+test('the ES module entry exports the same classes', async () => {
+    const esm = await import('../hotstring.mjs');
+    const cjs = require('../hotstring.js');
+    assert.strictEqual(esm.HotstringEngine, cjs.HotstringEngine);
+    assert.strictEqual(esm.HotstringManager, cjs.HotstringManager);
+    assert.strictEqual(esm.default, cjs.HotstringManager);
+});
+
+test('parseDefinition reads every option', () => {
+    const engine = new HotstringEngine();
+    const parse = (def, defaults) => engine.parseDefinition(def, defaults);
+
+    assert.deepStrictEqual(parse('::btw'), {
+        trigger: 'btw',
+        fireImmediately: false, insideWord: false, noBackspace: false, caseSensitive: false,
+        noConformity: false, omitEndChar: false, rawMode: false, execute: false,
+        resetRecognizer: false, suspendExempt: false, priority: 0, keyDelay: -1, sendMode: 'SI'
+    });
+    assert.strictEqual(parse(':*:a').fireImmediately, true);
+    assert.strictEqual(parse(':*0:a', '*').fireImmediately, false);
+    assert.strictEqual(parse(':?:a').insideWord, true);
+    assert.strictEqual(parse(':B0:a').noBackspace, true);
+    assert.strictEqual(parse(':C:a').caseSensitive, true);
+    assert.strictEqual(parse(':C0:a').caseSensitive, false);
+    assert.strictEqual(parse(':C1:a').noConformity, true);
+    assert.strictEqual(parse(':O:a').omitEndChar, true);
+    assert.strictEqual(parse(':R:a').rawMode, true);
+    assert.strictEqual(parse(':T:a').rawMode, true);
+    assert.strictEqual(parse(':X:a').execute, true);
+    assert.strictEqual(parse(':Z:a').resetRecognizer, true);
+    assert.strictEqual(parse(':S:a').suspendExempt, true);
+    assert.strictEqual(parse(':SE:a').sendMode, 'SE');
+    assert.strictEqual(parse(':SP:a').sendMode, 'SP');
+    assert.strictEqual(parse(':SI:a').sendMode, 'SI');
+    assert.strictEqual(parse(':K20:a').keyDelay, 20);
+    assert.strictEqual(parse(':P5:a').priority, 5);
+    assert.strictEqual(parse(':*:a::b').trigger, 'a::b');
+    assert.strictEqual(parse('btw'), null);
+});
+
+test('options are tokenized, so send modes no longer imply S', () => {
+    const engine = new HotstringEngine();
+    const parse = (def, defaults) => engine.parseDefinition(def, defaults);
+
+    for (const mode of ['SE', 'SI', 'SP']) {
+        assert.strictEqual(parse(`:${mode}:a`).suspendExempt, false, mode);
+        assert.strictEqual(parse(`:${mode} S:a`).suspendExempt, true, mode);
+    }
+    assert.strictEqual(parse(':S0:a', 'S').suspendExempt, false);
+    assert.strictEqual(parse(':c1:a').noConformity, true);
+    assert.deepStrictEqual(
+        [parse(':C1C:a').caseSensitive, parse(':C1C:a').noConformity, parse(':CC0:a').caseSensitive],
+        [true, false, false]);
+    assert.strictEqual(parse(':* K-1 P-2 Z0 O0 R0:a').priority, -2);
+    assert.strictEqual(parse(':O0:a', 'O').omitEndChar, false);
+    assert.strictEqual(parse(':B:a', 'B0').noBackspace, false);
+    assert.strictEqual(parse(':T0:a', 'R').rawMode, false);
+});
+
+test('unknown options and invalid values are rejected', () => {
+    const engine = new HotstringEngine();
+    assert.throws(() => engine.add(':Q:a', 'x'), /Unknown hotstring option "Q" in :Q:a/);
+    assert.throws(() => engine.add(':*#:a', 'x'), /Unknown hotstring option "#"/);
+    assert.throws(() => engine.add(':B2:a', 'x'), /Invalid hotstring option "B2"/);
+    assert.throws(() => engine.add(':C2:a', 'x'), /Invalid hotstring option "C2"/);
+    assert.throws(() => engine.add(':SE0:a', 'x'), /Invalid hotstring option "SE0"/);
+    assert.throws(() => engine.add(':K:a', 'x'), /Hotstring option "K" needs a number/);
+    assert.strictEqual(engine.hotstrings.length, 0);
+});
+
+test('parseOptions() reports options that override each other', () => {
+    const engine = new HotstringEngine();
+    assert.deepStrictEqual(engine.parseOptions('* C C1 SE SI *').warnings, [
+        'Hotstring option "C1" overrides "C"',
+        'Hotstring option "SI" overrides "SE"',
+        'Duplicate hotstring option "*"'
+    ]);
+    // Defaults are there to be overridden; R and T agree
+    assert.deepStrictEqual(engine.parseOptions('*0 C0 RT', '*C').warnings, []);
+    assert.deepStrictEqual(engine.parseOptions('Q K', '').errors, [
+        'Unknown hotstring option "Q"', 'Hotstring option "K" needs a number'
+    ]);
+});
+
+test('end chars fire, delete the typed trigger and keep the end char', () => {
+    const engine = new HotstringEngine();
+    const hs = engine.add('::btw', 'by the way');
+
+    const [result] = feed(engine, 'so btw,');
+    assert.strictEqual(result.hotstring, hs);
+    assert.strictEqual(result.trigger, 'btw');
+    assert.strictEqual(result.endChar, ',');
+    assert.deepStrictEqual(result.instructions, [
+        { type: 'delete', count: 4 },
+        { type: 'insert', text: 'by the way,' }
+    ]);
+    assert.strictEqual(engine.buffer, '');
+});
+
+test('* fires without an end char', () => {
+    const engine = new HotstringEngine();
+    engine.add(':*:omw', 'on my way');
+    const [result] = feed(engine, 'omw');
+    assert.deepStrictEqual(result.instructions, [{ type: 'delete', count: 3 }, { type: 'insert', text: 'on my way' }]);
+});
+
+test('triggers need a word boundary unless ?', () => {
+    const engine = new HotstringEngine();
+    engine.add('::al', 'airline');
+    engine.add(':?:ign', 'IGN');
+    assert.deepStrictEqual(feed(engine, 'real ').length, 0);
+    const [result] = feed(engine, 'feign ');
+    assert.strictEqual(result.trigger, 'ign');
+});
+
+test('case conformity follows the typed trigger; C and C1 turn it off', () => {
+    const engine = new HotstringEngine();
+    engine.add('::btw', 'by the way');
+    engine.add(':C:Cs', 'case sensitive');
+    engine.add(':C1:nc', 'no conformity');
+
+    const texts = () => feed(engine, 'btw Btw BTW Cs cs NC ').map(r => r.instructions[1].text);
+    assert.deepStrictEqual(texts(), ['by the way ', 'By the way ', 'BY THE WAY ', 'case sensitive ', 'no conformity ']);
+});
+
+test('O omits the end char, B0 keeps the trigger', () => {
+    const engine = new HotstringEngine();
+    engine.add(':O:sig', 'Regards');
+    engine.add(':B0:<em>', '</em>{Left 5}');
+
+    const [omit, keep] = feed(engine, 'sig. <em> ');
+    assert.deepStrictEqual(omit.instructions, [{ type: 'delete', count: 4 }, { type: 'insert', text: 'Regards' }]);
+    assert.deepStrictEqual(keep.instructions, [
+        { type: 'insert', text: '</em>' },
+        { type: 'key', key: 'Left', count: 5, shift: false, ctrl: false },
+        { type: 'insert', text: ' ' }
+    ]);
+});
+
+test('Send syntax becomes key instructions; R and T insert it literally', () => {
+    const engine = new HotstringEngine();
+    engine.add(':*:sel', '+{Home}^a{Enter}');
+    engine.add(':*R:raw', '{Enter}!');
+    engine.add(':*T:txt', '^{Tab}');
+
+    const [sel, raw, txt] = feed(engine, 'sel raw txt');
+    assert.deepStrictEqual(sel.instructions.slice(1), [
+        { type: 'key', key: 'Home', count: 1, shift: true, ctrl: false },
+        { type: 'key', key: 'SelectAll', count: 1, shift: false, ctrl: false },
+        { type: 'insert', text: '\n' }
+    ]);
+    assert.deepStrictEqual(raw.instructions[1], { type: 'insert', text: '{Enter}!' });
+    assert.deepStrictEqual(txt.instructions[1], { type: 'insert', text: '^{Tab}' });
+});
+
+test('end chars are inserted literally even when they are Send characters', () => {
+    const engine = new HotstringEngine();
+    engine.add('::hi', 'hello');
+    const [result] = feed(engine, 'hi{');
+    assert.deepStrictEqual(result.instructions[1], { type: 'insert', text: 'hello{' });
+});
+
+test('P and trigger length decide between several matches', () => {
+    const engine = new HotstringEngine();
+    engine.add(':*?:w', 'short');
+    engine.add(':*?:tw', 'long');
+    assert.strictEqual(feed(engine, 'tw')[0].hotstring.trigger, 'tw');
+
+    engine.add(':*?P1:w', 'priority');
+    assert.strictEqual(feed(engine, 'tw')[0].hotstring.replacement, 'priority');
+});
+
+test('regex hotstrings expand templates; functions are left to the caller', () => {
+    const engine = new HotstringEngine();
+    engine.addRegex(/(\d+)km/, '$1 kilometres');
+    engine.add('::now', () => 'ignored');
+
+    const [km, now] = feed(engine, '5km now ');
+    assert.deepStrictEqual(km.instructions, [{ type: 'delete', count: 3 }, { type: 'insert', text: '5 kilometres' }]);
+    assert.strictEqual(km.match[1], '5');
+    assert.strictEqual(now.hotstring.execute, true);
+    assert.strictEqual(now.instructions, null);
+    assert.deepStrictEqual(engine.instructions(4, 'at noon'), [{ type: 'delete', count: 4 }, { type: 'insert', text: 'at noon' }]);
+});
+
+test('X, Z, K and SE are kept on the record for the caller', () => {
+    const engine = new HotstringEngine();
+    const hs = engine.add(':XZSEK30:cmd', () => {});
+    assert.strictEqual(hs.execute, true);
+    assert.strictEqual(hs.resetRecognizer, true);
+    assert.strictEqual(hs.sendMode, 'SE');
+    assert.strictEqual(hs.keyDelay, 30);
+});
+
+test('while suspended only S hotstrings fire; disabled ones never do', () => {
+    const engine = new HotstringEngine();
+    engine.add('::btw', 'by the way');
+    engine.add(':S:omw', 'on my way');
+    const off = engine.add('::ty', 'thank you');
+    off.enabled = false;
+
+    engine.suspended = true;
+    assert.deepStrictEqual(feed(engine, 'btw omw ').map(r => r.trigger), ['omw']);
+    engine.suspended = false;
+    assert.deepStrictEqual(feed(engine, 'btw ty ').map(r => r.trigger), ['btw']);
+});
+
+test('custom end chars and buffer length', () => {
+    const engine = new HotstringEngine({ endChars: ['#'], maxBuffer: 5 });
+    engine.add('::btw', 'by the way');
+    assert.strictEqual(feed(engine, 'btw ').length, 0);
+    engine.reset();
+    assert.strictEqual(feed(engine, 'btw#').length, 1);
+
+    feed(engine, 'abcdefgh');
+    assert.strictEqual(engine.buffer, 'defgh');
+});
+
+test('match() works on any buffer, at the caret and with an extra check', () => {
+    const engine = new HotstringEngine();
+    engine.add('::btw', 'by the way');
+
+    assert.strictEqual(engine.match('say btw', ''), null);
+    assert.strictEqual(engine.match('say btw', '', { atCaret: true }).trigger, 'btw');
+    assert.strictEqual(engine.match('say btw ', ' ', { accept: () => false }), null);
+    assert.strictEqual(engine.buffer, '');
+});
+
+test('the index finds the same match as a full scan', () => {
+    const engine = new HotstringEngine();
+    const triggers = ['btw', 'tw', ':*:w', ':C:Tw', ':?:tw', ':*?:aw', ':P2:law'];
+    triggers.forEach((t, i) => engine.add(t.startsWith(':') ? t : `::${t}`, `r${i}`));
+    engine.addRegex(/x(\d)$/, 'X$1');
+
+    for (const text of ['btw ', 'Btw.', 'a tw ', 'Tw ', 'xtw ', 'saw', 'law!', 'x1', 'w']) {
+        for (let i = 1; i <= text.length; i++) {
+            const buffer = text.slice(0, i);
+            const last = buffer.slice(-1);
+            const full = engine._matchCandidates(buffer, engine.hotstrings, last);
+            const indexed = engine.match(buffer, last);
+            assert.strictEqual(indexed && indexed.hotstring, full && full.hotstring, buffer);
+        }
+    }
+});
+
+test('word boundaries follow Unicode letters, marks and numbers', () => {
+    const engine = new HotstringEngine();
+    engine.add('::btw', 'by the way');
+
+    for (const before of ['café', 'é', 'ü', '我', '٣', '𝒜']) {
+        assert.strictEqual(feed(engine, `${before}btw `).length, 0, before);
+    }
+    for (const before of ['—', '😀', '«', ' ']) {
+        assert.strictEqual(feed(engine, `${before}btw `).length, 1, before);
+    }
+});
+
+test('segmentWords also accepts dictionary word boundaries', () => {
+    const engine = new HotstringEngine({ segmentWords: true });
+    engine.add('::btw', 'by the way');
+    assert.strictEqual(feed(engine, '我btw ').length, 1);
+    assert.strictEqual(feed(engine, 'abtw ').length, 0);
+});
+
+test('the word character class is configurable', () => {
+    const engine = new HotstringEngine({ wordChars: /[a-z-]/i });
+    engine.add('::btw', 'by the way');
+    assert.strictEqual(feed(engine, '1btw ').length, 1);
+    assert.strictEqual(feed(engine, 'x-btw ').length, 0);
+
+    engine.wordChars = char => char !== '#';
+    assert.strictEqual(feed(engine, '#btw ').length, 1);
+    assert.strictEqual(feed(engine, '.btw ').length, 0);
+});
+
+test('the buffer is trimmed and checked by code point', () => {
+    const engine = new HotstringEngine({ maxBuffer: 4 });
+    feed(engine, 'ab😀😀');
+    assert.strictEqual(engine.buffer, '😀😀');
+    feed(engine, 'c');
+    assert.strictEqual(engine.buffer, '😀c');
+    assert.strictEqual(engine.trimBuffer('😀abc'), 'abc');
+
+    engine.add(':*:😀', 'smile');
+    engine.reset();
+    assert.strictEqual(feed(engine, '😀')[0].instructions[0].count, 2);
+});
+
+test('case conformity handles any script, title case and multi-letter capitals', () => {
+    const engine = new HotstringEngine();
+    const conform = (typed, text) => engine.applyCase(typed, text);
+    assert.strictEqual(conform('Ec', 'école'), 'École');
+    assert.strictEqual(conform('ÜB', 'über'), 'ÜBER');
+    assert.strictEqual(conform('Σκ', 'σκύλος'), 'Σκύλος');
+    assert.strictEqual(conform('Ss', 'ßtraße'), 'Sstraße');
+    assert.strictEqual(conform('Dz', 'ǆungla'), 'ǅungla');
+    assert.strictEqual(conform('Sm', '😀 smile'), '😀 smile');
+    assert.strictEqual(conform('𐐀𐐨', '𐐨x'), '𐐀x');
+    assert.strictEqual(conform('台', 'taiwan'), 'taiwan');
+});
+
+test('a locale changes casing and case-insensitive matching', () => {
+    const plain = new HotstringEngine();
+    const turkish = new HotstringEngine({ locale: 'tr' });
+    for (const engine of [plain, turkish]) engine.add('::ist', 'istanbul');
+
+    assert.strictEqual(plain.applyCase('Is', 'istanbul'), 'Istanbul');
+    assert.strictEqual(turkish.applyCase('İs', 'istanbul'), 'İstanbul');
+    assert.strictEqual(turkish.applyCase('İS', 'istanbul'), 'İSTANBUL');
+
+    // In Turkish, I is the capital of ı and İ the capital of i
+    assert.strictEqual(plain.match('IST ', ' ').trigger, 'IST');
+    assert.strictEqual(turkish.match('IST ', ' '), null);
+    assert.strictEqual(turkish.match('İST ', ' ').trigger, 'İST');
+});
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup } = require('./helpers');
+
+const entries = hm => [...hm.list().map(hs => `${hs.originalDefinition} => ${hs.replacement}`)].sort();
+
+test('AHK export round-trips triggers that contain colons', () => {
+    const { window, field } = setup();
+    const source = new window.HotstringManager(field);
+    source.add('::a::b', 'double');
+    source.add(':*:x:', 'trailing');
+    source.add('::::y', 'leading');
+    source.add(':C:re:`tick', 'tick; semicolon');
+
+    const script = source.export();
+    assert.match(script, /^::a`:`:b::double$/m);
+
+    const hm = new window.HotstringManager(field);
+    const result = hm.import(script);
+    assert.deepStrictEqual([...result.errors], []);
+    assert.strictEqual(result.added, 4);
+    assert.deepStrictEqual(entries(hm), entries(source));
+});
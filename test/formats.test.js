@@ -0,0 +1,211 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, type } = require('./helpers');
+
+/** Imported hotstrings as `definition => replacement` strings. */
+function table(hm) {
+    return [...hm.hotstrings].map(hs => `${hs.originalDefinition || hs.trigger} => ${hs.replacement}`).sort();
+}
+
+const messages = list => [...list].map(item => item.msg);
+
+test('Espanso match files map word, case and variables onto options', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+
+    const result = hm.import([
+        'matches:',
+        '  - trigger: ":btw"',
+        '    replace: "by the way"',
+        '  - triggers: [hi, hello]',
+        '    replace: Hello $|$ there!',
+        '    word: true',
+        '    propagate_case: true',
+        '  - trigger: ":today"',
+        '    replace: "{{now}}"',
+        '    vars:',
+        '      - name: now',
+        '        type: date',
+        '        params:',
+        '          format: "%d/%m/%Y at %H:%M"',
+        '  - trigger: ":sig"',
+        '    replace: |',
+        '      Regards,',
+        '      {{me}}',
+        '  - regex: ":greet\\\\((?P<person>\\\\w+)\\\\)"',
+        '    replace: "Hi {{person}}!"',
+        '  - trigger: ":ls"',
+        '    replace: "{{out}}"',
+        '    vars: [{name: out, type: shell, params: {cmd: ls}}]',
+        '  - trigger: ":logo"',
+        '    image_path: logo.png',
+        'global_vars:',
+        '  - name: me',
+        '    type: echo',
+        '    params:',
+        '      echo: Jane'
+    ].join('\n'));
+
+    assert.deepStrictEqual(messages(result.errors), []);
+    assert.deepStrictEqual(messages(result.warnings), [
+        'Entry 5: Variables of type "shell" are not supported; skipped',
+        'Entry 6: "image_path" matches are not supported; skipped'
+    ]);
+    assert.strictEqual(result.added, 6);
+    assert.deepStrictEqual(table(hm), [
+        '/:greet\\((?<person>\\w+)\\)$/ => Hi $<person>{!}',
+        ':*?C::btw => by the way',
+        ':*?C::sig => Regards,\nJane\n',
+        ':*?C::today => %date:DD/MM/YYYY[ at ]HH:mm%',
+        ':O:hello => Hello  there{!}{Left 7}',
+        ':O:hi => Hello  there{!}{Left 7}'
+    ]);
+
+    type(window, field, 'Hi ');
+    assert.strictEqual(field.value, 'Hello  there!');
+    assert.strictEqual(field.selectionStart, 6);
+});
+
+test('adjacent strftime conversions stay separate tokens', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+
+    hm.import([
+        'matches:',
+        '  - trigger: ":stamp"',
+        '    replace: "{{now}}"',
+        '    vars: [{name: now, type: date, params: {format: "%d%a %m%b %Y%y"}}]'
+    ].join('\n'));
+    assert.deepStrictEqual(table(hm), [':*?C::stamp => %date:DD[]DDD MM[]MMM YYYY[]YY%']);
+
+    type(window, field, ':stamp');
+    assert.match(field.value, /^\d\d[A-Z][a-z]{2} \d\d[A-Z][a-z]{2} \d{6}$/);
+});
+
+test('YAML that Espanso files do not use is reported with its line', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+
+    const result = hm.import('matches:\n  - trigger: a\n    replace: &anchor text');
+    assert.strictEqual(result.added, 0);
+    assert.deepStrictEqual(messages(result.errors), [
+        'Invalid espanso input: line 3: Anchors, aliases and tags are not supported'
+    ]);
+
+    assert.throws(() => hm.import('matches:\n - trigger: a\n  replace: b', { format: 'espanso', stopOnError: true }),
+        /line 3: Unexpected indentation/);
+});
+
+test('Beeftext combos: strict and loose matching, case and variables', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+
+    const result = hm.import(JSON.stringify({
+        combos: [
+            { keyword: 'bst', snippet: 'Best, #{cursor}!', matchingMode: 1 },
+            { keyword: 'dt', snippet: '#{dateTime:dd.MM.yyyy h:mm AP}', matchingMode: 2, caseSensitivity: 2, enabled: false },
+            { keyword: 'ps', snippet: '#{powershell:script.ps1}' },
+            { snippet: 'no keyword' }
+        ]
+    }));
+
+    assert.strictEqual(result.added, 2);
+    assert.deepStrictEqual(messages(result.warnings), ['Entry 2: The #{powershell} variable is not supported; skipped']);
+    assert.deepStrictEqual(messages(result.errors), ['Entry 3: Expected a "keyword" and a "snippet"']);
+    assert.deepStrictEqual(table(hm), [
+        ':*?C1:dt => %datetime:DD.MM.YYYY h:mm A%',
+        ':*C:bst => Best, {!}{Left 1}'
+    ]);
+    assert.strictEqual(hm.get(':*?C1:dt').enabled, false);
+});
+
+test('TextExpander CSV and .textexpander files convert their macros', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+
+    const csv = hm.import([
+        ';sig,"Regards,',
+        '%Y-%1m %clipboard %| ok",Signature',
+        ';name,%filltext:name=Name%,Fill-in',
+        ';pct,100% sure,'
+    ].join('\n'), { format: 'textexpander' });
+    assert.strictEqual(csv.added, 2);
+    assert.deepStrictEqual([...csv.warnings].map(w => [w.line, w.msg]), [[3, 'Line 3: Fill-ins are not supported; skipped']]);
+
+    const plist = hm.import([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<plist version="1.0"><dict><key>snippetsTE2</key><array>',
+        '<dict><key>abbreviation</key><string>;adr</string><key>abbreviationMode</key><integer>2</integer>',
+        '<key>plainText</key><string>1 Main St &amp; Co</string><key>snippetType</key><integer>0</integer></dict>',
+        '</array></dict></plist>'
+    ].join('\n'));
+    assert.strictEqual(plist.added, 1);
+
+    assert.deepStrictEqual(table(hm), [
+        ':*?:;adr => 1 Main St & Co',
+        ':*?C:;pct => 100%% sure',
+        ':*?C:;sig => Regards,\n%date:YYYY%-%date:M% %clipboard%  ok{Left 3}'
+    ]);
+});
+
+test('macOS text replacements fire on an end char', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+
+    const result = hm.import([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+        '<plist version="1.0">',
+        '<array>',
+        '\t<dict>',
+        '\t\t<key>phrase</key>',
+        '\t\t<string>On my way!</string>',
+        '\t\t<key>shortcut</key>',
+        '\t\t<string>omw</string>',
+        '\t</dict>',
+        '\t<dict><key>phrase</key><string>no shortcut</string></dict>',
+        '</array>',
+        '</plist>'
+    ].join('\n'));
+
+    assert.strictEqual(result.added, 1);
+    assert.deepStrictEqual(messages(result.errors), ['Entry 1: Expected a "shortcut" and a "phrase"']);
+    type(window, field, 'omw ');
+    assert.strictEqual(field.value, 'On my way! ');
+});
+
+test('imported text keeps a literal %variable%', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+
+    hm.import('pct,Use %date% as the placeholder\nsale,50% off', { format: 'csv' });
+    assert.deepStrictEqual(table(hm), ['::pct => Use %%date%% as the placeholder', '::sale => 50%% off']);
+
+    type(window, field, 'pct sale ');
+    assert.strictEqual(field.value, 'Use %date% as the placeholder 50% off ');
+});
+
+test('CSV and TSV: two columns, quoted cells and an optional header', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.defineGroup('imported', { options: '*' });
+
+    const csv = hm.import('Trigger,Replacement\nty,thank you\n\nq,"say ""hi"", {now}"\nalone', { format: 'csv', group: 'imported' });
+    assert.strictEqual(csv.added, 2);
+    assert.deepStrictEqual([...csv.errors].map(e => [e.line, e.msg]), [[5, 'Line 5: Expected a trigger and a replacement']]);
+
+    const tsv = hm.import('yw\tyou\'re welcome\n', { format: 'tsv' });
+    assert.strictEqual(tsv.added, 1);
+    assert.deepStrictEqual(table(hm), [
+        '::q => say "hi", {{}now{}}',
+        '::ty => thank you',
+        '::yw => you\'re welcome'
+    ]);
+
+    type(window, field, 'ty');
+    assert.strictEqual(field.value, 'thank you');
+    assert.deepStrictEqual(messages(hm.import('a,"b', { format: 'csv' }).errors), [
+        'Invalid csv input: unclosed quote in the row at line 1'
+    ]);
+    assert.throws(() => hm.import('a,b', { format: 'xlsx' }), /Unknown import format: xlsx/);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, keydown, type } = require('./helpers');
+
+test('X functions receive a context object', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    let context = null;
+    hm.add(':X:ctx', c => { context = c; });
+
+    field.value = 'word';
+    field.setSelectionRange(0, 4);
+    type(window, field, 'ctx.');
+    assert.strictEqual(field.value, '');
+    assert.deepStrictEqual({ ...context, hotstring: context.hotstring.id, manager: context.manager === hm, element: context.element === field }, {
+        trigger: 'ctx', endChar: '.', element: true, buffer: 'ctx.', caret: 4, selection: 'word',
+        hotstring: hm.get(':X:ctx').id, manager: true
+    });
+});
+
+test('returned text is inserted like replacement text: case, end char, B0 and O', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':X:nm', ({ trigger }) => `name for ${trigger}`);
+    hm.add(':XB0:tag', () => '</b>');
+    hm.add(':XO:sig', () => 'Regards');
+    hm.add(':X:cnt', () => 42);               // Only strings (and { text }) are inserted
+
+    type(window, field, 'Nm tag sig.cnt ');
+    assert.strictEqual(field.value, 'Name for Nm tag </b> Regards');
+});
+
+test('a Promise result holds input until the text arrives', async () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    let resolve;
+    hm.add(':*X:wx', () => new Promise(r => { resolve = r; }));
+    const done = new Promise(r => hm.on('expand', r));
+
+    type(window, field, 'wx');
+    assert.ok(hm.isLocked);
+    type(window, field, ' ok');
+    resolve('sunny');
+    await done;
+    assert.strictEqual(field.value, 'sunny ok');
+    assert.ok(!hm.isLocked);
+});
+
+test('{ text, caret, raw } places the caret and can send text literally', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { backspaceUndo: true });
+    hm.add(':X:fn', () => ({ text: 'f()', caret: 2 }));
+    hm.add(':*X:lnk', () => ({ text: '[](url)', caret: -6, raw: true }));
+
+    type(window, field, 'fn ');
+    assert.strictEqual(field.value, 'f() ');
+    assert.strictEqual(field.selectionStart, 2);
+
+    field.value = '';
+    type(window, field, 'lnk');
+    assert.strictEqual(field.value, '[](url)');
+    assert.strictEqual(field.selectionStart, 1);
+    keydown(window, field, 'Backspace');
+    assert.strictEqual(field.value, 'lnk');
+});
+
+test('regex functions get the context after the groups and may return instructions', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    let context = null;
+    hm.addRegex(new window.RegExp('(\\d+)x(\\d+)='), (all, a, b, c) => {
+        context = c;
+        return { text: `${a * b} (${all})`, caret: -1 };
+    });
+
+    type(window, field, 'is 3x4=');
+    assert.strictEqual(field.value, 'is 12 (3x4=)');
+    assert.strictEqual(field.selectionStart, field.value.length - 1);
+    assert.strictEqual(context.trigger, '3x4=');
+    assert.strictEqual(context.match[2], '4');
+    assert.strictEqual(context.buffer, 'is 3x4=');
+    assert.ok(context.signal);
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'hotstring.js'), 'utf8');
+
+/**
+ * Creates a jsdom window with hotstring.js loaded as a page script would be.
+ * @returns {{window: Window, document: Document, field: HTMLTextAreaElement}}
+ */
+function setup(html = '<textarea id="field"></textarea>') {
+    const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, { runScripts: 'outside-only', pretendToBeVisual: true });
+    const { window } = dom;
+    window.eval(`${source}\nwindow.HotstringManager = HotstringManager;`);
+    const field = window.document.getElementById('field');
+    if (field) field.focus();
+    return { window, document: window.document, field };
+}
+
+/** Dispatches a keydown; returns false if a listener prevented its default action. */
+function keydown(window, el, key, init = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    el.dispatchEvent(event);
+    return !event.defaultPrevented;
+}
+
+/** Types text into a textarea the way a browser does: keydown, edit, input. */
+function type(window, el, text) {
+    for (const char of text) {
+        const key = char === '\n' ? 'Enter' : char;
+        if (!keydown(window, el, key)) continue;
+        el.setRangeText(char, el.selectionStart, el.selectionEnd, 'end');
+        el.dispatchEvent(new window.InputEvent('input', {
+            data: char === '\n' ? null : char,
+            inputType: char === '\n' ? 'insertLineBreak' : 'insertText',
+            bubbles: true
+        }));
+    }
+}
+
+/**
+ * Simulates an IME session: compositionstart, one update per entry of `updates`
+ * (keydown 229 + insertCompositionText input), then the commit of `commit`.
+ * With `trailingInput`, the commit is followed by an input event and a 229 keydown,
+ * as Safari sends them.
+ */
+function compose(window, el, updates, commit, { trailingInput = false } = {}) {
+    const start = el.selectionStart;
+    el.dispatchEvent(new window.CompositionEvent('compositionstart', { data: '', bubbles: true }));
+    for (const text of updates) {
+        keydown(window, el, 'Process', { keyCode: 229, isComposing: true });
+        el.setRangeText(text, start, el.selectionEnd, 'end');
+        el.dispatchEvent(new window.CompositionEvent('compositionupdate', { data: text, bubbles: true }));
+        el.dispatchEvent(new window.InputEvent('input', {
+            data: text, inputType: 'insertCompositionText', isComposing: true, bubbles: true
+        }));
+    }
+    keydown(window, el, 'Enter', { keyCode: 229, isComposing: true });
+    el.setRangeText(commit, start, el.selectionEnd, 'end');
+    el.dispatchEvent(new window.CompositionEvent('compositionend', { data: commit, bubbles: true }));
+    if (trailingInput) {
+        el.dispatchEvent(new window.InputEvent('input', { data: commit, inputType: 'insertFromComposition', bubbles: true }));
+        keydown(window, el, 'Enter', { keyCode: 229 });
+    }
+}
+
+module.exports = { setup, keydown, type, compose };
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, keydown, type } = require('./helpers');
+
+test('hotkey mode ignores end chars and expands on Ctrl+Space', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { triggerMode: 'hotkey' });
+    hm.add('::btw', 'by the way');
+    hm.add(':*:omw', 'on my way');
+
+    type(window, field, 'btw omw ');
+    assert.strictEqual(field.value, 'btw omw ');
+
+    type(window, field, 'btw');
+    assert.strictEqual(keydown(window, field, ' ', { ctrlKey: true, code: 'Space' }), false);
+    assert.strictEqual(field.value, 'btw omw by the way');
+});
+
+test('an unmatched expand key is passed through', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { triggerMode: 'hotkey', expandKey: 'Tab' });
+    hm.add('::btw', 'by the way');
+
+    type(window, field, 'xyz');
+    keydown(window, field, 'Tab');
+    assert.strictEqual(field.value, 'xyz\t');
+
+    type(window, field, 'btw');
+    keydown(window, field, 'Tab');
+    assert.strictEqual(field.value, 'xyz\tby the way');
+});
+
+test('expandAtCaret uses the text in the field, not the typing history', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add('::btw', 'by the way');
+    hm.add('::tw', 'SHOULD NOT FIRE');
+
+    field.value = 'see btw later';
+    field.setSelectionRange(7, 7);
+    assert.strictEqual(hm.expandAtCaret(), true);
+    assert.strictEqual(field.value, 'see by the way later');
+    assert.strictEqual(field.selectionStart, 14);
+
+    field.setSelectionRange(3, 3);
+    assert.strictEqual(hm.expandAtCaret(), false);
+});
+
+test('expandAtCaret respects word boundaries, case conformity and regex hotstrings', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add('::btw', 'by the way');
+    hm.addRegex(new window.RegExp('(\\d+)km$'), '$1 kilometres');
+
+    field.value = 'abtw';
+    field.setSelectionRange(4, 4);
+    assert.strictEqual(hm.expandAtCaret(), false);
+
+    field.value = 'Btw';
+    field.setSelectionRange(3, 3);
+    hm.expandAtCaret();
+    assert.strictEqual(field.value, 'By the way');
+
+    field.value = 'ran 5km';
+    field.setSelectionRange(7, 7);
+    hm.expandAtCaret();
+    assert.strictEqual(field.value, 'ran 5 kilometres');
+});
+
+test('bindKey runs functions and named actions; unbindKey removes them', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    const calls = [];
+    hm.bindKey('Alt+Shift+E', ({ manager, event }) => calls.push([manager === hm, event.key]));
+    hm.bindKey('Ctrl+Shift+1', 'suspend');
+
+    // Shift and Alt change the key; the physical key still matches
+    assert.strictEqual(keydown(window, field, 'Ê', { altKey: true, shiftKey: true, code: 'KeyE' }), false);
+    assert.deepStrictEqual(calls, [[true, 'Ê']]);
+
+    keydown(window, field, '!', { ctrlKey: true, shiftKey: true, code: 'Digit1' });
+    assert.strictEqual(hm.isSuspended, true);
+
+    assert.strictEqual(hm.unbindKey('shift+alt+e'), true);
+    assert.strictEqual(keydown(window, field, 'E', { altKey: true, shiftKey: true, code: 'KeyE' }), true);
+    assert.strictEqual(calls.length, 1);
+});
+
+test('the suspend action consumes both the press that suspends and the one that resumes', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.bindKey('Ctrl+Alt+S', 'suspend');
+    const press = () => keydown(window, field, 's', { ctrlKey: true, altKey: true, code: 'KeyS' });
+
+    assert.strictEqual(press(), false);
+    assert.strictEqual(hm.isSuspended, true);
+    assert.strictEqual(press(), false);
+    assert.strictEqual(hm.isSuspended, false);
+});
+
+test('a binding returning false lets the key through', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add('::btw', 'by the way');
+    hm.bindKey('Tab', () => false);
+
+    type(window, field, 'btw');
+    keydown(window, field, 'Tab');
+    assert.strictEqual(field.value, 'by the way\t');
+});
+
+test('invalid combinations and modes are rejected', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    assert.throws(() => hm.bindKey('Hyper+K', 'expand'), /Unknown modifier/);
+    assert.throws(() => hm.bindKey('Ctrl+K', 'explode'), /Unknown key action/);
+    assert.throws(() => new window.HotstringManager(field, { triggerMode: 'manual' }), /Unknown trigger mode/);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, type } = require('./helpers');
+
+test('a JSON export merges into a table whose ids it reuses', () => {
+    const { window, field } = setup();
+    const source = new window.HotstringManager(field);
+    source.add('::btw', 'by the way');
+    source.add('::omw', 'on my way', { id: 'omw' });
+    source.disable(source.get('::btw').id);
+
+    const hm = new window.HotstringManager(field);
+    const ty = hm.add('::ty', 'thank you');
+    const result = hm.import(source.export({ format: 'json' }));
+
+    assert.deepStrictEqual([...result.errors], []);
+    assert.strictEqual(result.added, 2);
+    assert.strictEqual(hm.get('::ty').id, ty);
+    assert.strictEqual(hm.get('omw').trigger, 'omw');
+    assert.notStrictEqual(hm.get('::btw').id, ty);
+    assert.strictEqual(hm.get('::btw').enabled, false);
+    assert.deepStrictEqual([...hm.list().map(hs => `${hs.originalDefinition} => ${hs.replacement}`)].sort(), [
+        '::btw => by the way', '::omw => on my way', '::ty => thank you'
+    ]);
+});
+
+test('duplicate triggers are found with the locale\'s case folding', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { locale: 'tr' });
+    const first = hm.add('::Işık', 'light');
+    const second = hm.add('::ışık', 'lamp');
+
+    assert.strictEqual(second, first);
+    assert.strictEqual(hm.list().length, 1);
+    type(window, field, 'IŞIK ');
+    assert.strictEqual(field.value, 'LAMP ');
+});
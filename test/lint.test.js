@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup } = require('./helpers');
+
+/** Lint issues as `type line|definition` strings, for compact assertions. */
+function summary(issues) {
+    return [...issues].map(issue => `${issue.type} ${issue.line || issue.definition}`);
+}
+
+test('lint() checks a script without importing it', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    const before = [...hm.endChars];
+
+    const issues = hm.lint([
+        '#Hotstring EndChars -() .',
+        '::btw::by the way',
+        ':*:btw::duplicate',
+        ':Q:zz::bad option',
+        ':C C1 K5:cc::overridden',
+        '::e.g::for example',
+        '#Hotstring Nope'
+    ].join('\n'));
+
+    assert.deepStrictEqual(summary(issues), [
+        'duplicate 3', 'invalid 4', 'option 5', 'option 5', 'endchar 6', 'unsupported 7'
+    ]);
+    assert.deepStrictEqual({ ...issues[0] }, {
+        level: 'warning', type: 'duplicate', message: 'Duplicate trigger, replaces ::btw (line 2)',
+        definition: ':*:btw', line: 3
+    });
+    assert.strictEqual(issues[1].level, 'error');
+    assert.strictEqual(issues[1].message, 'Unknown hotstring option "Q" in :Q:zz');
+    assert.deepStrictEqual([...issues].slice(2, 4).map(issue => issue.message), [
+        'Hotstring option "C1" overrides "C"', 'K5 has no effect without SE or SP'
+    ]);
+    assert.strictEqual(issues[4].message, 'Trigger contains the end char "."');
+
+    assert.strictEqual(hm.hotstrings.length, 0);
+    assert.deepStrictEqual([...hm.endChars], before);
+});
+
+test('hotstrings that another one always beats are reported', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':*:b', 'B');
+    hm.add(':*:btw', 'by the way');     // "b" fires while typing it
+    hm.add('::xy', 'XY');
+    hm.add(':P1:y', 'Y');               // P1 is checked first, but needs a word start
+    hm.add('::ok', 'OK');
+    hm.add('::ok.', 'okay');            // "ok" fires on the "."
+
+    const issues = hm.lint();
+    assert.deepStrictEqual(summary(issues), ['shadowed :*:btw', 'endchar ::ok.', 'shadowed ::ok.']);
+    assert.strictEqual(issues[0].message, 'Never fires: :*:b fires first');
+    assert.strictEqual(issues[0].id, hm.get(':*:btw').id);
+});
+
+test('a rival only shadows where it fires under the same conditions', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.defineGroup('extra');
+    hm.add(':*C:Ab', 'case sensitive');
+    hm.add(':*:ab', 'any case');                            // "AB" and "aB" still reach it
+    hm.add(':*:c', 'C', { group: 'extra' });
+    hm.add(':*:cd', 'group can be disabled');
+    hm.add(':*:e', 'E', { when: () => true });
+    hm.add(':*:ef', 'condition may be false');
+    hm.add(':*:g', 'G');
+    hm.add(':*?:gh', 'typed inside words, g cannot fire');
+    hm.add(':*:i', 'I');
+    hm.add(':*S:ij', 'fires while suspended');
+    hm.addRegex(new window.RegExp('k'), 'regex');
+    hm.add(':*:k', 'regexes are left out');
+
+    assert.deepStrictEqual(summary(hm.lint()), []);
+});
+
+test('hotkey mode only compares complete triggers', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { triggerMode: 'hotkey' });
+    hm.add(':*:b', 'B');
+    hm.add(':*:btw', 'reachable: the expand key is pressed after "btw"');
+
+    assert.deepStrictEqual(summary(hm.lint()), []);
+    hm.add(':?P2:tw', 'TW');
+    assert.deepStrictEqual(summary(hm.lint()), ['shadowed :*:btw']);
+});
+
+test('strict options in import(), #Hotstring and groups', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+
+    const result = hm.import('#Hotstring SEQ\n:SE:se::typed\n:*J:bad::x');
+    assert.strictEqual(result.added, 1);
+    assert.deepStrictEqual([...result.warnings].map(w => w.msg), [
+        'Line 1: Unknown hotstring option "Q"; directive ignored'
+    ]);
+    assert.deepStrictEqual([...result.errors].map(e => e.msg), [
+        'Line 3: Unknown hotstring option "J" in :*J:bad'
+    ]);
+    assert.strictEqual(hm.get(':SE:se').suspendExempt, false);
+
+    assert.throws(() => hm.defineGroup('fast', { options: '*W' }), /Unknown hotstring option "W" in group fast/);
+});
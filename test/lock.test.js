@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, keydown, type } = require('./helpers');
+
+/** Resolves once the manager releases its input lock. */
+function unlocked(hm) {
+    return new Promise(resolve => hm.on('unlock', function done() {
+        hm.off('unlock', done);
+        resolve();
+    }));
+}
+
+test('keys typed while locked are replayed in order, with Backspace deleting', async () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':*SE K1:btw', 'by the way');
+
+    type(window, field, 'btw');
+    assert.ok(hm.isLocked);
+    type(window, field, ' abx');
+    keydown(window, field, 'Backspace');
+    type(window, field, 'c');
+    await unlocked(hm);
+
+    assert.strictEqual(field.value, 'by the way abc');
+    assert.strictEqual(hm.buffer.slice(-4), ' abc');
+});
+
+test('replayed text can fire hotstrings', async () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':*SE K1:btw', 'by the way');
+    hm.add('::omw', 'on my way');
+
+    type(window, field, 'btw');
+    type(window, field, ' omw.');
+    await unlocked(hm);
+
+    assert.strictEqual(field.value, 'by the way on my way.');
+});
+
+test('a replayed SE hotstring holds the rest of the queue until it finishes', async () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':*SE K1:btw', 'by the way');
+    hm.add(':*SE K1:ty', 'thank you');
+
+    type(window, field, 'btw');
+    type(window, field, ' ty!');
+    await unlocked(hm);
+    assert.ok(hm.isLocked);
+    await unlocked(hm);
+
+    assert.strictEqual(field.value, 'by the way thank you!');
+});
+
+test('Backspace after a replayed expansion undoes it', async () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { backspaceUndo: true });
+    hm.add(':*SE K1:btw', 'by the way');
+    hm.add('::omw', 'on my way');
+
+    type(window, field, 'btw');
+    type(window, field, ' omw ');
+    keydown(window, field, 'Backspace');
+    await unlocked(hm);
+
+    assert.strictEqual(field.value, 'by the way omw ');
+});
+
+test('the queue is capped at maxLockBuffer', async () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.maxLockBuffer = 3;
+    hm.add(':*SE K1:btw', 'by the way');
+
+    type(window, field, 'btw');
+    type(window, field, 'abcdef');
+    await unlocked(hm);
+
+    assert.strictEqual(field.value, 'by the wayabc');
+});
+
+test('modified keys are not queued', async () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':*SE K1:btw', 'by the way');
+
+    type(window, field, 'btw');
+    keydown(window, field, 'a', { ctrlKey: true });
+    type(window, field, 'x');
+    await unlocked(hm);
+
+    assert.strictEqual(field.value, 'by the wayx');
+});
+
+test('Escape stops SE typing and still replays the queue', async () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':*SE K5:btw', 'by the way');
+    const events = [];
+    hm.on('cancel', e => events.push('cancel:' + e.trigger));
+    hm.on('expand', () => events.push('expand'));
+
+    type(window, field, 'btw');
+    await new Promise(r => setTimeout(r, 12));
+    type(window, field, '!');
+    keydown(window, field, 'Escape');
+    await unlocked(hm);
+    await new Promise(r => setTimeout(r));
+
+    assert.ok(field.value.length < 'by the way'.length, field.value);
+    assert.ok(field.value.endsWith('!'));
+    assert.deepStrictEqual(events, ['cancel:btw']);
+    assert.ok(!hm.isLocked);
+});
+
+test('Escape gives up on a blocking async regex result', async () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    let aborted = false;
+    hm.addRegex(new window.RegExp('(\\d+)usd$'), (all, amount, { signal }) => new Promise(resolve => {
+        signal.addEventListener('abort', () => { aborted = true; });
+        setTimeout(() => resolve('never'), 200);
+    }), { blockInput: true, placeholder: '…' });
+
+    type(window, field, '5usd');
+    assert.ok(hm.isLocked);
+    type(window, field, ' x');
+    keydown(window, field, 'Escape');
+    await unlocked(hm);
+
+    assert.ok(aborted);
+    assert.strictEqual(field.value, '5usd x');
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, type } = require('./helpers');
+
+/** Creates a manager on a fresh textarea with one hotstring. */
+function single(def, replacement, options) {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, options);
+    hm.add(def, replacement);
+    return { window, field, hm, type: text => type(window, field, text) };
+}
+
+test('default: fires on an end char at a word start and keeps the end char', () => {
+    const { field, type } = single('::btw', 'by the way');
+    type('abtw btw.');
+    assert.strictEqual(field.value, 'abtw by the way.');
+});
+
+test('* fires without an end char, *0 turns it back off', () => {
+    const { field, hm, type } = single(':*:omw', 'on my way');
+    hm.add(':*0:ty', 'thank you');
+    type('omw ty');
+    assert.strictEqual(field.value, 'on my way ty');
+    type(' ');
+    assert.strictEqual(field.value, 'on my way thank you ');
+});
+
+test('? fires inside words', () => {
+    const { field, type } = single(':?:ign', 'IGN');
+    type('feign ');
+    assert.strictEqual(field.value, 'feIGN ');
+});
+
+test('B0 leaves the trigger in place', () => {
+    const { field, type } = single(':*B0:<em>', '</em>{Left 5}');
+    type('<em>x');
+    assert.strictEqual(field.value, '<em>x</em>');
+});
+
+test('O omits the end char', () => {
+    const { field, type } = single(':O:sig', 'Regards');
+    type('sig,');
+    assert.strictEqual(field.value, 'Regards');
+});
+
+test('C is case sensitive, C0 is not, C1 turns off case conformity', () => {
+    const { field, hm, type } = single(':C:Cs', 'case');
+    hm.add(':C0:ci', 'insensitive');
+    hm.add(':C1:nc', 'no conformity');
+    type('cs Cs CI NC ');
+    assert.strictEqual(field.value, 'cs case INSENSITIVE no conformity ');
+});
+
+test('R and T send the replacement literally', () => {
+    const { hm, field, type } = single(':*R:raw', '{Enter}!');
+    hm.add(':*T:txt', '^a{Tab}');
+    type('raw txt');
+    assert.strictEqual(field.value, '{Enter}! ^a{Tab}');
+});
+
+test('X runs the replacement function instead of typing', () => {
+    let calls = 0;
+    const { field, type } = single(':X:ping', () => calls++);
+    type('ping ');
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(field.value, '');
+});
+
+test('Z fires and leaves the buffer empty', () => {
+    const { hm, type } = single(':*Z:ab', 'x');
+    type('ab');
+    assert.strictEqual(hm.buffer, '');
+});
+
+test('S hotstrings still fire while suspended', () => {
+    const { field, hm, type } = single('::btw', 'by the way');
+    hm.add(':S:omw', 'on my way');
+    hm.toggleSuspend();
+    type('btw omw ');
+    assert.strictEqual(field.value, 'btw on my way ');
+    hm.toggleSuspend();
+    type('btw ');
+    assert.strictEqual(field.value, 'btw on my way by the way ');
+});
+
+test('SE and SP with K type one step at a time; SI inserts at once', async () => {
+    for (const mode of ['SE', 'SP']) {
+        const { hm, field, type } = single(`:*${mode} K1:ty`, 'thank you');
+        const done = new Promise(resolve => hm.on('expand', resolve));
+        type('ty');
+        assert.ok(hm.isLocked, mode);
+        assert.notStrictEqual(field.value, 'thank you');
+        await done;
+        assert.strictEqual(field.value, 'thank you');
+    }
+
+    const { hm, field, type } = single(':*SI K1:ty', 'thank you');
+    type('ty');
+    assert.ok(!hm.isLocked);
+    assert.strictEqual(field.value, 'thank you');
+});
+
+test('P decides between triggers that match at the same time', () => {
+    const { hm, field, type } = single(':*?:w', 'short');
+    hm.add(':*?P1:tw', 'priority');
+    hm.add(':*?:xtw', 'longest');
+    type('tw xtw');
+    assert.strictEqual(field.value, 'priority xpriority');
+});
+
+test('group defaults apply before the definition\'s own options', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.defineGroup('fast', { options: '*C' });
+    hm.add(':C0:omw', 'on my way', { group: 'fast' });
+    type(window, field, 'OMW');
+    assert.strictEqual(field.value, 'ON MY WAY');
+});
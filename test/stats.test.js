@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, keydown, type } = require('./helpers');
+
+test('expansions are counted with characters saved and last use', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    const id = hm.add('::btw', 'by the way');
+    hm.add(':*:omw', 'on my way');
+    hm.add('::unused', 'never');
+
+    const before = Date.now();
+    type(window, field, 'btw btw omw');
+
+    // "by the way " replaces "btw " twice: 11 - 4 = 7 each
+    assert.deepStrictEqual({ ...hm.getStats(id), lastUsed: null }, {
+        id, definition: '::btw', count: 2, lastUsed: null, charsSaved: 14, undone: 0
+    });
+    assert.ok(hm.getStats(id).lastUsed >= before);
+    assert.strictEqual(hm.getStats('::unused').lastUsed, null);
+
+    const stats = hm.getStats();
+    assert.strictEqual(stats.count, 3);
+    assert.strictEqual(stats.charsSaved, 14 + 6);
+    assert.deepStrictEqual([...stats.hotstrings.map(entry => entry.definition)], ['::btw', ':*:omw', '::unused']);
+});
+
+test('Send keys and option O are reflected in characters saved', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':O:sig', 'Best,{Enter}Ann{Left 3}');
+
+    type(window, field, 'sig ');
+    // "Best,\nAnn" is 9 characters; "sig " was typed
+    assert.strictEqual(hm.getStats(':O:sig').charsSaved, 5);
+});
+
+test('B0 keeps the trigger, so only the end char is taken off', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':*B0:<em>', '</em>{Left 5}');
+    hm.add(':B0:<b>', '</b>');
+
+    type(window, field, '<em>');
+    assert.strictEqual(field.value, '<em></em>');
+    assert.strictEqual(hm.getStats(':*B0:<em>').charsSaved, 5);
+
+    field.value = '';
+    type(window, field, '<b> ');
+    // "</b> " is inserted for the space
+    assert.strictEqual(field.value, '<b> </b> ');
+    assert.strictEqual(hm.getStats(':B0:<b>').charsSaved, 4);
+});
+
+test('an undone expansion counts as accidental and takes back its savings', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { backspaceUndo: true });
+    hm.add('::btw', 'by the way');
+
+    type(window, field, 'btw ');
+    type(window, field, 'btw ');
+    keydown(window, field, 'Backspace');
+
+    assert.strictEqual(field.value, 'by the way btw ');
+    const stats = hm.getStats('::btw');
+    assert.strictEqual(stats.count, 2);
+    assert.strictEqual(stats.undone, 1);
+    assert.strictEqual(stats.charsSaved, 7);
+});
+
+test('the expand event carries charsSaved', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add(':*:ty', 'thank you');
+    const saved = [];
+    hm.on('expand', e => saved.push(e.charsSaved));
+
+    type(window, field, 'ty');
+    assert.deepStrictEqual(saved, [7]);
+});
+
+test('search() ranks by use when rank is true', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { backspaceUndo: true });
+    hm.add('::wy', 'way');
+    hm.add('::btw', 'by the way');
+    hm.add('::omw', 'on my way');
+
+    type(window, field, 'omw omw btw ');
+    assert.deepStrictEqual([...hm.search('way', { rank: true })], ['::omw', '::btw', '::wy']);
+    // Table order by default: longer triggers first
+    assert.deepStrictEqual([...hm.search('way')], ['::btw', '::omw', '::wy']);
+
+    // Undone fires do not count towards the ranking
+    type(window, field, 'btw ');
+    keydown(window, field, 'Backspace');
+    assert.deepStrictEqual([...hm.search('way', { rank: true })], ['::omw', '::btw', '::wy']);
+});
+
+test('resetStats() clears one or all hotstrings, and the stats option turns tracking off', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add('::btw', 'by the way');
+    hm.add('::omw', 'on my way');
+
+    type(window, field, 'btw omw ');
+    hm.resetStats('::btw');
+    assert.strictEqual(hm.getStats('::btw').count, 0);
+    assert.strictEqual(hm.getStats('::omw').count, 1);
+    hm.resetStats();
+    assert.strictEqual(hm.getStats().count, 0);
+    assert.strictEqual(hm.getStats('::missing'), null);
+
+    const { window: w2, field: f2 } = setup();
+    const off = new w2.HotstringManager(f2, { stats: false });
+    off.add('::btw', 'by the way');
+    type(w2, f2, 'btw ');
+    assert.strictEqual(f2.value, 'by the way ');
+    assert.strictEqual(off.getStats('::btw').count, 0);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, type } = require('./helpers');
+
+/** An adapter that keeps one saved table and lets the test play another tab. */
+function memoryStorage(saved = null) {
+    return {
+        saved,
+        load() { return this.saved; },
+        save(data) { this.saved = data; },
+        subscribe(listener) {
+            this.otherTab = listener;
+            return () => {};
+        }
+    };
+}
+
+test('a table saved in another tab replaces ours', async () => {
+    const { window, field } = setup();
+    const storage = memoryStorage();
+    const hm = new window.HotstringManager(field, { storage });
+    await hm.ready;
+    hm.add('::btw', 'by the way');
+    hm.add('::now', () => 'now');
+
+    storage.otherTab({ version: window.HotstringManager.EXPORT_VERSION, hotstrings: [{ definition: '::omw', replacement: 'on my way' }] });
+    assert.deepStrictEqual([...hm.list().map(hs => hs.originalDefinition)].sort(), ['::now', '::omw']);
+});
+
+test('a table from another tab that cannot be read leaves ours in place', async () => {
+    const { window, field } = setup();
+    const storage = memoryStorage();
+    const hm = new window.HotstringManager(field, { storage });
+    const errors = [];
+    hm.on('error', e => errors.push(e.error.message));
+    await hm.ready;
+    hm.add('::btw', 'by the way');
+
+    storage.otherTab({ version: window.HotstringManager.EXPORT_VERSION + 1, hotstrings: [] });
+    storage.otherTab({ version: 1 });
+    assert.strictEqual(errors.length, 2);
+    assert.match(errors[0], /schema version/);
+
+    type(window, field, 'btw ');
+    assert.strictEqual(field.value, 'by the way ');
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, keydown, type } = require('./helpers');
+
+test('accepting a suggestion replaces the typed prefix', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { suggestions: { render: false } });
+    hm.add('::btw', 'by the way');
+    const shown = [];
+    hm.on('suggest', e => shown.push([...e.items.map(item => item.trigger)]));
+
+    type(window, field, 'say bt');
+    assert.deepStrictEqual(shown[shown.length - 1], ['btw']);
+    assert.strictEqual(keydown(window, field, 'Tab'), false);
+    assert.strictEqual(field.value, 'say by the way');
+});
+
+test('a B0 suggestion completes the trigger before the replacement', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { suggestions: { render: false } });
+    hm.add(':B0:<em>', '</em>');
+
+    type(window, field, '<e');
+    keydown(window, field, 'Enter');
+    assert.strictEqual(field.value, '<em></em>');
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { setup, keydown, type } = require('./helpers');
+
+test('Backspace removes a whole emoji from the buffer', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+
+    type(window, field, 'ok😀');
+    keydown(window, field, 'Backspace');
+    assert.strictEqual(hm.buffer, 'ok');
+});
+
+test('triggers after accented letters are inside a word', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field);
+    hm.add('::ist', 'istanbul');
+
+    type(window, field, 'élist Ist ');
+    assert.strictEqual(field.value, 'élist Istanbul ');
+});
+
+test('the locale option applies to case conformity', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { locale: 'tr' });
+    hm.add('::ist', 'istanbul');
+
+    type(window, field, 'İst ');
+    assert.strictEqual(field.value, 'İstanbul ');
+    assert.strictEqual(hm.engine.locale, 'tr');
+});
+
+test('wordChars and Ctrl+Left agree on what a word is', () => {
+    const { window, field } = setup();
+    const hm = new window.HotstringManager(field, { wordChars: new window.RegExp('[\\p{L}-]', 'u') });
+    hm.add(':*:sel', 'naïve-word^+{Left}');
+
+    type(window, field, 'x-sel');
+    assert.strictEqual(field.value, 'x-sel');
+
+    type(window, field, ' sel');
+    assert.strictEqual(field.value, 'x-sel naïve-word');
+    assert.strictEqual(field.value.slice(field.selectionStart, field.selectionEnd), 'naïve-word');
+});